@@ -1,16 +1,23 @@
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import morgan from 'morgan';
 import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
 import flightsRouter from './src/routes/flights.js';
+import logger from './src/services/logger.js';
+import metrics from './src/services/metrics.js';
+import healthChecks from './src/services/healthChecks.js';
+import { errorMiddleware } from './src/services/errors.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Correlation id on every request and response, and one JSON access log line per request
+app.use(logger.requestMiddleware());
+app.use(metrics.requestMiddleware());
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -28,11 +35,30 @@ app.use(helmet({
 // CORS configuration
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  // Export downloads name their file in Content-Disposition
+  exposedHeaders: ['Content-Disposition', 'X-Request-Id'],
   credentials: false
 }));
 
+// Probes and scrapes come from infrastructure every few seconds, so they are not rate limited.
+// Liveness (also /health): the process answers. Readiness: dependencies configured and reachable
+app.get(['/health', '/health/live'], (req, res) => {
+  res.status(200).json(healthChecks.liveness());
+});
+
+app.get('/health/ready', async (req, res) => {
+  const report = await healthChecks.readiness();
+  res.status(report.ready ? 200 : 503).json(report);
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', metrics.contentType);
+  res.send(metrics.render());
+});
+
 // антидудос
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -46,23 +72,10 @@ const limiter = rateLimit({
 
 app.use(limiter);
 
-// Logging middleware
-app.use(morgan('combined'));
-
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development'
-  });
-});
-
 // API routes
 app.use('/api/flights', flightsRouter);
 
@@ -75,34 +88,26 @@ app.use('*', (req, res) => {
   });
 });
 
-// Global error handler
-app.use((err, req, res, next) => {
-  console.error('Global error handler:', err);
-  
-  res.status(err.status || 500).json({
-    error: process.env.NODE_ENV === 'production' 
-      ? 'Internal server error' 
-      : err.message,
-    timestamp: new Date().toISOString(),
-    ...(process.env.NODE_ENV !== 'production' && { stack: err.stack })
-  });
-});
+// Global error handler: typed errors answer with their status, code and retry hints, anything else is a 500
+app.use(errorMiddleware());
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`🚀 Flight Assistant Backend running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+  logger.info('Flight Assistant Backend started', {
+    port: Number(PORT),
+    environment: process.env.NODE_ENV || 'development',
+    healthCheck: `http://localhost:${PORT}/health`
+  });
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
+  logger.info('SIGTERM received, shutting down gracefully');
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
+  logger.info('SIGINT received, shutting down gracefully');
   process.exit(0);
 });
 
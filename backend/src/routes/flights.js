@@ -1,29 +1,128 @@
+import { AsyncResource } from 'async_hooks';
 import express from 'express';
 import flightApiService from '../services/flightApi.js';
+import airportRegistry from '../services/airportRegistry.js';
 import llmService from '../services/llmService.js';
+import queryPipeline from '../services/queryPipeline.js';
+import conversationStore from '../services/conversationStore.js';
+import punctualityAnalytics from '../services/punctualityAnalytics.js';
+import trafficHistogram from '../services/trafficHistogram.js';
+import flightLookup from '../services/flightLookup.js';
+import flightTable from '../services/flightTable.js';
+import flightExport from '../services/flightExport.js';
+import promptContext from '../services/promptContext.js';
+import historyStore from '../services/historyStore.js';
+import watchlist from '../services/watchlist.js';
+import logger from '../services/logger.js';
+import metrics from '../services/metrics.js';
+import healthChecks from '../services/healthChecks.js';
+import { errorBody, toAppError } from '../services/errors.js';
 
 const router = express.Router();
+const log = logger.child({ component: 'routes' });
 
-// Validation middleware
-const validateQueryRequest = (req, res, next) => {
-	const { airport, question, date } = req.body;
+// Most airports one comparison query may ask about
+const MAX_COMPARE_AIRPORTS = parseInt(process.env.MAX_COMPARE_AIRPORTS) || 4;
 
-	// Validate airport
+/**
+ * Check one requested airport
+ * @param {*} airport - Airport code from the request
+ * @returns {Object|null} Error response body, null when the airport can be queried
+ */
+const airportError = (airport) => {
 	if (!airport || typeof airport !== 'string') {
-		return res.status(400).json({
+		return {
 			error: 'Airport code is required and must be a string',
 			code: 'INVALID_AIRPORT'
-		});
+		};
 	}
 
 	if (!flightApiService.isValidAirportCode(airport)) {
-		return res.status(400).json({
-			error: 'Invalid airport code. Supported airports: DXB, LHR, CDG, SIN, HKG, AMS', // туду под TS если будем компилировать можно енам справочник завести
+		const known = airportRegistry.get(airport);
+		return {
+			error: known
+				? `Airport ${known.iata} is not enabled for flight queries`
+				: 'Invalid airport code. Use GET /api/flights/airports?q= to find supported airports',
 			code: 'UNSUPPORTED_AIRPORT',
-			supportedAirports: ['DXB', 'LHR', 'CDG', 'SIN', 'HKG', 'AMS']
+			supportedAirports: airportRegistry.getQueryableCodes()
+		};
+	}
+
+	return null;
+};
+
+// Validate date if provided - now expecting day parameter (-1, 1, 2)
+const isValidDay = (date) => date === null || date === undefined || [-1, 1, 2].includes(Number(date));
+
+const INVALID_DAY_RESPONSE = {
+	error: 'Date parameter must be -1 (yesterday), 1 (today), or 2 (tomorrow)',
+	code: 'INVALID_DAY_PARAMETER'
+};
+
+// Validation middleware - airport and day shared by one-shot queries and conversations
+const validateScheduleRequest = (req, res, next) => {
+	const { airport, date } = req.body;
+
+	const invalidAirport = airportError(airport);
+	if (invalidAirport) {
+		return res.status(400).json(invalidAirport);
+	}
+
+	if (!isValidDay(date)) {
+		return res.status(400).json(INVALID_DAY_RESPONSE);
+	}
+
+	// Sanitize inputs; ICAO codes are accepted and passed on as IATA
+	req.body.airport = airportRegistry.get(airport).iata;
+	req.body.date = Number(date) || null;
+
+	next();
+};
+
+// One-shot queries take either `airport` or `airports: [...]` to compare several airports
+const validateAirportsRequest = (req, res, next) => {
+	const { airports, date } = req.body;
+
+	if (airports === undefined || airports === null) {
+		return validateScheduleRequest(req, res, next);
+	}
+
+	if (!Array.isArray(airports)) {
+		return res.status(400).json({
+			error: 'Airports must be an array of airport codes',
+			code: 'INVALID_AIRPORTS'
+		});
+	}
+
+	for (const airport of airports) {
+		const invalidAirport = airportError(airport);
+		if (invalidAirport) {
+			return res.status(400).json(invalidAirport);
+		}
+	}
+
+	const codes = [...new Set(airports.map(airport => airportRegistry.get(airport).iata))];
+	if (codes.length < 2 || codes.length > MAX_COMPARE_AIRPORTS) {
+		return res.status(400).json({
+			error: `Comparison needs 2 to ${MAX_COMPARE_AIRPORTS} different airports`,
+			code: 'INVALID_AIRPORTS'
 		});
 	}
 
+	if (!isValidDay(date)) {
+		return res.status(400).json(INVALID_DAY_RESPONSE);
+	}
+
+	req.body.airports = codes;
+	req.body.airport = null;
+	req.body.date = Number(date) || null;
+
+	next();
+};
+
+const validateQuestion = (req, res, next) => {
+	const { question } = req.body;
+
 	// Validate question
 	if (!question || typeof question !== 'string') {
 		return res.status(400).json({
@@ -39,193 +138,923 @@ const validateQueryRequest = (req, res, next) => {
 		});
 	}
 
-	// Validate date if provided - now expecting day parameter (-1, 1, 2)
-	if (date !== null && date !== undefined && ![-1, 1, 2].includes(Number(date))) {
+	// Sanitize inputs
+	req.body.question = llmService.sanitizeQuestion(question);
+
+	next();
+};
+
+// Optional per-request answer model, limited to LLM_ALLOWED_MODELS
+const validateModel = (req, res, next) => {
+	const { model } = req.body;
+
+	if (model === undefined || model === null || model === '') {
+		req.body.model = null;
+		return next();
+	}
+
+	if (typeof model !== 'string' || !llmService.isAllowedModel(model.trim())) {
 		return res.status(400).json({
-			error: 'Date parameter must be -1 (yesterday), 1 (today), or 2 (tomorrow)',
-			code: 'INVALID_DAY_PARAMETER'
+			error: `Model is not allowed. Allowed models: ${llmService.allowedModels.join(', ')}`,
+			code: 'MODEL_NOT_ALLOWED',
+			allowedModels: llmService.allowedModels
 		});
 	}
 
-	// Sanitize inputs
-	req.body.airport = airport.toUpperCase().trim();
-	req.body.question = llmService.sanitizeQuestion(question);
-	req.body.date = Number(date) || null;
+	req.body.model = model.trim();
+	next();
+};
 
+// GET endpoints take airport from the path and day from the query string
+const scheduleParamsFromQuery = (req, res, next) => {
+	req.body = {
+		airport: req.params.airport,
+		date: req.query.date ?? null
+	};
 	next();
 };
 
+const validateQueryRequest = [validateAirportsRequest, validateQuestion, validateModel];
+const validateMessageRequest = [validateQuestion, validateModel];
+
+/**
+ * Hand a failed request to the error middleware, with what it was about for the response body
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ * @param {Error} error - Pipeline or service error
+ * @param {Object} context - { airport, question, startTime }
+ */
+const passQueryError = (res, next, error, { airport, question, startTime }) => {
+	res.locals.errorContext = { airport, question, startTime };
+	next(error);
+};
+
+/**
+ * Keep an answered query in the history
+ * @param {Object} body - Response body
+ * @param {Object} options - { date, rerunOf }
+ * @returns {Promise<Object>} Response body with historyId (unchanged when history is disabled)
+ */
+const recordHistory = async (body, { date = null, rerunOf = null } = {}) => {
+	const entry = await historyStore.add(body, {
+		dayParam: date || 1,
+		conversationId: body.conversationId || null,
+		rerunOf
+	});
+
+	return entry ? { ...body, historyId: entry.id } : body;
+};
+
+/**
+ * Run the query pipeline as a Server-Sent Events stream. Emits `stage`, `analysis`,
+ * `schedule` and `token` events while it works, then `done` with the full response
+ * body (or `error`). The LLM request is aborted if the client disconnects.
+ * @param {Object} res - Express response
+ * @param {Object} params - queryPipeline.run parameters { airport, question, date, context }
+ * @param {Function} finalize - Optional (pipelineResult) => response body
+ */
+const streamQuery = async (res, params, finalize = (result) => result.body) => {
+	const startTime = Date.now();
+	const controller = new AbortController();
+
+	// Bound so the log line keeps the request's correlation id
+	res.on('close', AsyncResource.bind(() => {
+		if (!res.writableEnded) {
+			log.info('Stream client disconnected, aborting query');
+			controller.abort();
+		}
+	}));
+
+	res.set({
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache',
+		'Connection': 'keep-alive',
+		'X-Accel-Buffering': 'no' // disable proxy buffering (nginx)
+	});
+	res.flushHeaders();
+
+	const send = (event, data) => {
+		if (!res.writableEnded && !controller.signal.aborted) {
+			res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+		}
+	};
+
+	try {
+		const result = await queryPipeline.run({ ...params, onEvent: send, signal: controller.signal });
+		send('done', logger.withMetadata(await recordHistory(finalize(result), { date: params.date })));
+	} catch (error) {
+		const responseTime = Date.now() - startTime;
+		log.error('Streamed query failed', { airport: params.airport || params.airports, durationMs: responseTime, error });
+
+		const appError = toAppError(error);
+		// Streams answer 200 before failing, so the error code isn't counted from the response status
+		metrics.errors.inc({ code: appError.code });
+		send('error', logger.withMetadata({
+			...errorBody(appError),
+			metadata: {
+				responseTime: `${responseTime}ms`,
+				timestamp: new Date().toISOString()
+			}
+		}));
+	}
+
+	res.end();
+};
+
 /**
  * POST /api/flights/query
- * Main endpoint for querying flight data with natural language questions
+ * Main endpoint for querying flight data with natural language questions.
+ * `airports: ["AMS", "CDG"]` instead of `airport` compares several airports
  */
-router.post('/query', validateQueryRequest, async (req, res) => {
+router.post('/query', validateQueryRequest, async (req, res, next) => {
 	const startTime = Date.now();
-	const { airport, question, date } = req.body;
+	const { airport, airports, question, date, model } = req.body;
 
 	try {
-		console.log('req.body', req.body);
-		console.log(`🎯 Processing query for ${airport}: "${question}"`);
-
-		// Step 1: Analyze question to determine FlightAPI mode and relevance
-		console.log('🔍 Analyzing question for relevance and optimal FlightAPI mode...');
-		const modeAnalysis = await llmService.analyzeQuestionForMode(question, airport);
-		
-		// Step 2: Check if question is relevant to aviation/airports -> return to frontend
-		if (modeAnalysis.shouldSkipAPI || modeAnalysis.relevant === false) {
-			console.log('⚠️ Question not relevant to aviation, skipping FlightAPI call');
-			const responseTime = Date.now() - startTime;
-			
-			return res.json({
-				success: true,
-				airport,
-				airportName: flightApiService.getAirportName(airport),
-				question,
-				answer: "Sorry, I can't understand your question. Can you ask again? I'm designed to help with flight schedules, airport information, airlines, and other aviation-related topics.",
-				analysis: {
-					mode: modeAnalysis.mode,
-					reasoning: modeAnalysis.reasoning,
-					confidence: modeAnalysis.confidence,
-					relevant: false
-				},
-				metadata: {
-					responseTime: `${responseTime}ms`,
-					timestamp: new Date().toISOString(),
-					dataSource: 'No API call made',
-					aiModel: 'Gemini Flash 1.5',
-					flightApiCalled: false
-				}
+		const { body } = await queryPipeline.run({ airport, airports, question, date, model });
+		res.json(await recordHistory(body, { date }));
+	} catch (error) {
+		passQueryError(res, next, error, { airport: airport || airports, question, startTime });
+	}
+});
+
+/**
+ * POST /api/flights/query/stream
+ * Same as /query, streamed as Server-Sent Events with real pipeline stages and answer tokens
+ */
+router.post('/query/stream', validateQueryRequest, (req, res) => {
+	const { airport, airports, question, date, model } = req.body;
+	streamQuery(res, { airport, airports, question, date, model });
+});
+
+/**
+ * Find conversation for :id or send 404
+ * @returns {Object|null} Conversation
+ */
+const findConversation = (req, res) => {
+	const conversation = conversationStore.get(req.params.id);
+
+	if (!conversation) {
+		res.status(404).json({
+			error: 'Conversation not found or expired',
+			code: 'CONVERSATION_NOT_FOUND'
+		});
+		return null;
+	}
+
+	return conversation;
+};
+
+/**
+ * Record pipeline result as a conversation turn
+ * @returns {Object} Response body for the turn
+ */
+const recordTurn = (conversation, { body, rawFlightData }) => {
+	const turn = conversationStore.addTurn(conversation, body, rawFlightData);
+
+	return {
+		...body,
+		conversationId: conversation.id,
+		turn: turn.index
+	};
+};
+
+/**
+ * POST /api/flights/conversations
+ * Start a conversation bound to one airport and day
+ */
+router.post('/conversations', validateScheduleRequest, (req, res) => {
+	const { airport, date } = req.body;
+	const conversation = conversationStore.create(airport, date || 1);
+
+	res.status(201).json({
+		conversation,
+		airportName: flightApiService.getAirportName(airport),
+		metadata: {
+			timestamp: new Date().toISOString()
+		}
+	});
+});
+
+/**
+ * GET /api/flights/conversations/:id
+ * Conversation history
+ */
+router.get('/conversations/:id', (req, res) => {
+	const conversation = findConversation(req, res);
+
+	if (!conversation) {
+		return;
+	}
+
+	res.json({
+		conversation: conversationStore.toPublic(conversation),
+		airportName: flightApiService.getAirportName(conversation.airport),
+		metadata: {
+			timestamp: new Date().toISOString()
+		}
+	});
+});
+
+/**
+ * POST /api/flights/conversations/:id/messages
+ * Ask a (follow-up) question within a conversation
+ */
+router.post('/conversations/:id/messages', validateMessageRequest, async (req, res, next) => {
+	const startTime = Date.now();
+	const { question, model } = req.body;
+	const conversation = findConversation(req, res);
+
+	if (!conversation) {
+		return;
+	}
+
+	const { airport, dayParam } = conversation;
+
+	try {
+		const result = await queryPipeline.run({
+			airport,
+			question,
+			date: dayParam,
+			model,
+			context: conversationStore.getContext(conversation)
+		});
+
+		res.json(await recordHistory(recordTurn(conversation, result), { date: dayParam }));
+	} catch (error) {
+		passQueryError(res, next, error, { airport, question, startTime });
+	}
+});
+
+/**
+ * POST /api/flights/conversations/:id/messages/stream
+ * Conversation message streamed as Server-Sent Events (see /query/stream)
+ */
+router.post('/conversations/:id/messages/stream', validateMessageRequest, (req, res) => {
+	const conversation = findConversation(req, res);
+
+	if (!conversation) {
+		return;
+	}
+
+	streamQuery(res, {
+		airport: conversation.airport,
+		question: req.body.question,
+		date: conversation.dayParam,
+		model: req.body.model,
+		context: conversationStore.getContext(conversation)
+	}, (result) => recordTurn(conversation, result));
+});
+
+/**
+ * Find history entry for :id or send 404
+ * @returns {Promise<Object|null>} Entry
+ */
+const findHistoryEntry = async (req, res) => {
+	const entry = await historyStore.get(req.params.id);
+
+	if (!entry) {
+		res.status(404).json({
+			error: 'History entry not found',
+			code: 'HISTORY_NOT_FOUND'
+		});
+		return null;
+	}
+
+	return entry;
+};
+
+/**
+ * GET /api/flights/history?q=&airport=&starred=true&page=1&limit=20
+ * Answered questions, newest first, as summaries. q searches the question text
+ */
+router.get('/history', async (req, res, next) => {
+	const { q = '', airport = '', starred, page, limit } = req.query;
+
+	try {
+		const result = await historyStore.list({
+			query: String(q),
+			airport: String(airport),
+			starred: starred === 'true',
+			page,
+			limit
+		});
+
+		res.json({
+			...result,
+			metadata: {
+				timestamp: new Date().toISOString()
+			}
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * GET /api/flights/history/:id
+ * Stored answer with analysis, data summary and metadata, shaped like the original response
+ */
+router.get('/history/:id', async (req, res, next) => {
+	try {
+		const entry = await findHistoryEntry(req, res);
+
+		if (!entry) {
+			return;
+		}
+
+		res.json({
+			entry,
+			metadata: {
+				timestamp: new Date().toISOString()
+			}
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * PATCH /api/flights/history/:id
+ * Star or unstar an entry: { "starred": true }. Starred entries are kept when old history is pruned
+ */
+router.patch('/history/:id', async (req, res, next) => {
+	const { starred } = req.body;
+
+	if (typeof starred !== 'boolean') {
+		return res.status(400).json({
+			error: 'Starred must be true or false',
+			code: 'INVALID_STARRED'
+		});
+	}
+
+	try {
+		const entry = await historyStore.setStarred(req.params.id, starred);
+
+		if (!entry) {
+			return res.status(404).json({
+				error: 'History entry not found',
+				code: 'HISTORY_NOT_FOUND'
 			});
 		}
-		
-		// Step 3: Fetch flight data using intelligent mode selection
-		console.log(`📡 Fetching flight data (mode: ${modeAnalysis.mode})...`);
-		const dayParam = date || 1; // Default to today (1) if no date provided
-		const rawFlightData = await flightApiService.getAirportSchedule(airport, dayParam, modeAnalysis.mode);
-		console.log('rawFlightData', JSON.stringify(rawFlightData, null, 2));
-
-		if (rawFlightData.arrivals.length === 0 && rawFlightData.departures.length === 0) {
+
+		res.json({
+			entry: historyStore.toSummary(entry),
+			metadata: {
+				timestamp: new Date().toISOString()
+			}
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * DELETE /api/flights/history/:id
+ */
+router.delete('/history/:id', async (req, res, next) => {
+	try {
+		if (!await historyStore.remove(req.params.id)) {
 			return res.status(404).json({
-				error: `No flight data available for ${airport} (${rawFlightData.dayLabel})`,
-				code: 'NO_FLIGHT_DATA',
-				airport,
-				dayParam: rawFlightData.dayParam,
-				dayLabel: rawFlightData.dayLabel
+				error: 'History entry not found',
+				code: 'HISTORY_NOT_FOUND'
 			});
 		}
 
-		// Step 3: Process flight data
-		console.log('🔄 Processing flight data...');
-		const processedData = flightApiService.processFlightData(rawFlightData);
-		console.log('processedData', JSON.stringify(processedData, null, 2));
+		res.status(204).end();
+	} catch (error) {
+		next(error);
+	}
+});
 
-		// Step 5: Generate human-like AI answer as support manager
-		console.log('🤖 Generating support-style answer...');
-		const answer = await llmService.generateAnswer(question, processedData, airport, modeAnalysis.mode, modeAnalysis);
+/**
+ * POST /api/flights/history/:id/rerun
+ * Ask a saved question again for the same airport(s) and day against the current schedule.
+ * Follow-up questions are asked on their own, without the conversation they came from.
+ * The new answer is stored as a new entry with rerunOf set
+ */
+router.post('/history/:id/rerun', validateModel, async (req, res, next) => {
+	const startTime = Date.now();
+	let entry = null;
+	let airports = null;
+	let airport = null;
 
-		const responseTime = Date.now() - startTime;
-		console.log(`✅ Query completed in ${responseTime}ms`);
+	try {
+		entry = await findHistoryEntry(req, res);
+
+		if (!entry) {
+			return;
+		}
+
+		airports = entry.airports ? entry.airports.map(airport => airport.airport || airport) : null;
+		airport = airports ? null : entry.airport;
+
+		log.info('Re-running saved question', { historyId: entry.id });
+		const { body } = await queryPipeline.run({
+			airport,
+			airports,
+			question: entry.question,
+			date: entry.dayParam,
+			model: req.body.model
+		});
+		res.json(await recordHistory(body, { date: entry.dayParam, rerunOf: entry.id }));
+	} catch (error) {
+		passQueryError(res, next, error, { airport: airport || airports, question: entry?.question ?? null, startTime });
+	}
+});
+
+// Keeps idle watchlist streams open through proxies
+const WATCH_STREAM_HEARTBEAT_MS = 25000;
+
+/**
+ * POST /api/flights/watchlist
+ * Watch a flight: { airport, date, flightNumber, notifyOn: ["landed", "delayed"], webhookUrl }.
+ * Changes are POSTed to webhookUrl and sent to GET /watchlist/events subscribers
+ */
+router.post('/watchlist', validateScheduleRequest, async (req, res, next) => {
+	const startTime = Date.now();
+	const { airport, date, flightNumber, notifyOn, webhookUrl } = req.body;
+	const query = typeof flightNumber === 'string' ? flightLookup.normalizeFlightNumber(flightNumber) : null;
+
+	if (!query) {
+		return res.status(400).json({
+			error: 'Flight number must look like EK5, BA117 or a callsign like UAE5',
+			code: 'INVALID_FLIGHT_NUMBER'
+		});
+	}
+
+	if (notifyOn !== undefined && (!Array.isArray(notifyOn) || notifyOn.length === 0 ||
+		!notifyOn.every(type => watchlist.notifyTypes.includes(type)))) {
+		return res.status(400).json({
+			error: `notifyOn must be a list of ${watchlist.notifyTypes.join(', ')}`,
+			code: 'INVALID_NOTIFY_ON',
+			notifyTypes: watchlist.notifyTypes
+		});
+	}
+
+	if (webhookUrl !== undefined && webhookUrl !== null && !/^https?:\/\/[^\s]+$/i.test(String(webhookUrl))) {
+		return res.status(400).json({
+			error: 'Webhook URL must be an http(s) URL',
+			code: 'INVALID_WEBHOOK_URL'
+		});
+	}
+
+	try {
+		const { watch, flights } = await watchlist.add({
+			airport,
+			dayParam: date || 1,
+			flightNumber: query.normalized,
+			notifyOn,
+			webhookUrl: webhookUrl || null
+		});
+
+		res.status(201).json({
+			watch,
+			flights,
+			metadata: {
+				responseTime: `${Date.now() - startTime}ms`,
+				timestamp: new Date().toISOString()
+			}
+		});
+	} catch (error) {
+		passQueryError(res, next, error, { airport, question: null, startTime });
+	}
+});
+
+/**
+ * GET /api/flights/watchlist
+ * Watched flights with their last seen state and recent change events
+ */
+router.get('/watchlist', (req, res) => {
+	res.json({
+		watches: watchlist.list(),
+		notifyTypes: watchlist.notifyTypes,
+		metadata: {
+			timestamp: new Date().toISOString()
+		}
+	});
+});
+
+/**
+ * GET /api/flights/watchlist/events?watchId=
+ * Server-Sent Events stream of watchlist changes (`change` events), all watches unless watchId
+ * (comma-separated) narrows it down
+ */
+router.get('/watchlist/events', (req, res) => {
+	const watchIds = String(req.query.watchId || '').split(',').map(id => id.trim()).filter(Boolean);
+
+	res.set({
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache',
+		'Connection': 'keep-alive',
+		'X-Accel-Buffering': 'no' // disable proxy buffering (nginx)
+	});
+	res.flushHeaders();
+
+	const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+	const unsubscribe = watchlist.subscribe((event) => {
+		if (watchIds.length === 0 || watchIds.includes(event.watchId)) {
+			send('change', event);
+		}
+	});
+	const heartbeat = setInterval(() => res.write(': ping\n\n'), WATCH_STREAM_HEARTBEAT_MS);
+
+	res.on('close', () => {
+		clearInterval(heartbeat);
+		unsubscribe();
+	});
+
+	send('ready', { watchIds, timestamp: new Date().toISOString() });
+});
+
+/**
+ * GET /api/flights/watchlist/:id
+ */
+router.get('/watchlist/:id', (req, res) => {
+	const watch = watchlist.get(req.params.id);
+
+	if (!watch) {
+		return res.status(404).json({
+			error: 'Watch not found',
+			code: 'WATCH_NOT_FOUND'
+		});
+	}
+
+	res.json({
+		watch: watchlist.toPublic(watch),
+		metadata: {
+			timestamp: new Date().toISOString()
+		}
+	});
+});
+
+/**
+ * DELETE /api/flights/watchlist/:id
+ * Stop watching a flight
+ */
+router.delete('/watchlist/:id', (req, res) => {
+	if (!watchlist.remove(req.params.id)) {
+		return res.status(404).json({
+			error: 'Watch not found',
+			code: 'WATCH_NOT_FOUND'
+		});
+	}
+
+	res.status(204).end();
+});
+
+/**
+ * GET /api/flights/models
+ * LLM provider, default models and models allowed as per-request `model`
+ */
+router.get('/models', (req, res) => {
+	res.json({
+		...llmService.getModelConfig(),
+		metadata: {
+			timestamp: new Date().toISOString()
+		}
+	});
+});
+
+/**
+ * GET /api/flights/punctuality/:airport?date=1&flights=true
+ * Delay and on-time statistics for an airport and day (both directions).
+ * flights=true adds the per-flight delay list
+ */
+router.get('/punctuality/:airport', scheduleParamsFromQuery, validateScheduleRequest, async (req, res, next) => {
+	const startTime = Date.now();
+	const { airport, date } = req.body;
+
+	try {
+		const schedule = await flightApiService.getAirportSchedule(airport, date || 1, 'both');
+		const punctuality = punctualityAnalytics.analyze(schedule);
 
-		// Step 5: Return comprehensive response with mode analysis
-		// (all data for frontend summary cards. rawResult is Used by LLM to generate answer with dataset)
 		res.json({
-			success: true,
 			airport,
 			airportName: flightApiService.getAirportName(airport),
-			question,
-			answer,
-			analysis: {
-				mode: modeAnalysis.mode,
-				reasoning: modeAnalysis.reasoning,
-				confidence: modeAnalysis.confidence
-			},
-			data: {
-				dayParam: processedData.dayParam,
-				dayLabel: processedData.dayLabel,
-				summary: processedData.summary,
-				// Include processed data for frontend display
-				arrivals: {
-					total: processedData.arrivals.total,
-					topCountries: Object.entries(processedData.arrivals.byCountry)
-						.sort(([, a], [, b]) => b.length - a.length)
-						.slice(0, 10)
-						.map(([country, flights]) => ({ country, count: flights.length })),
-					topAirlines: processedData.arrivals.airlines.slice(0, 10)
-				},
-				departures: {
-					total: processedData.departures.total,
-					topCountries: Object.entries(processedData.departures.byCountry)
-						.sort(([, a], [, b]) => b.length - a.length)
-						.slice(0, 10)
-						.map(([country, flights]) => ({ country, count: flights.length })),
-					topAirlines: processedData.departures.airlines.slice(0, 10)
-				},
-				// Include complete raw FlightAPI response for debugging and advanced questions
-				rawResult: processedData.rawResult
-			},
+			dayParam: schedule.dayParam,
+			dayLabel: schedule.dayLabel,
+			punctuality: req.query.flights === 'true' ? punctuality : punctualityAnalytics.summarize(punctuality),
 			metadata: {
-				responseTime: `${responseTime}ms`,
+				responseTime: `${Date.now() - startTime}ms`,
 				timestamp: new Date().toISOString(),
 				dataSource: 'FlightAPI.io',
-				aiModel: 'Gemini Flash 1.5',
-				flightApiMode: modeAnalysis.mode,
-				flightApiCalled: true
+				flightApiCalled: !schedule.metadata.cache.hit,
+				cache: schedule.metadata.cache,
+				fetchedAt: schedule.metadata.fetchedAt,
+				...(schedule.metadata.warnings && { warnings: schedule.metadata.warnings })
 			}
 		});
+	} catch (error) {
+		passQueryError(res, next, error, { airport, question: null, startTime });
+	}
+});
+
+/**
+ * GET /api/flights/traffic/:airport?date=1&bucket=60
+ * Arrivals and departures per time bucket (airport-local time) and the busiest buckets
+ */
+router.get('/traffic/:airport', scheduleParamsFromQuery, validateScheduleRequest, async (req, res, next) => {
+	const startTime = Date.now();
+	const { airport, date } = req.body;
+	const bucket = req.query.bucket ?? trafficHistogram.defaultBucketMinutes;
+
+	if (!trafficHistogram.isValidBucketSize(bucket)) {
+		return res.status(400).json({
+			error: `Bucket size must be one of ${trafficHistogram.bucketSizes.join(', ')} minutes`,
+			code: 'INVALID_BUCKET_SIZE',
+			bucketSizes: trafficHistogram.bucketSizes
+		});
+	}
+
+	try {
+		const schedule = await flightApiService.getAirportSchedule(airport, date || 1, 'both');
 
+		res.json({
+			airport,
+			airportName: flightApiService.getAirportName(airport),
+			dayParam: schedule.dayParam,
+			dayLabel: schedule.dayLabel,
+			traffic: trafficHistogram.build(schedule, { bucketMinutes: Number(bucket) }),
+			metadata: {
+				responseTime: `${Date.now() - startTime}ms`,
+				timestamp: new Date().toISOString(),
+				dataSource: 'FlightAPI.io',
+				flightApiCalled: !schedule.metadata.cache.hit,
+				cache: schedule.metadata.cache,
+				fetchedAt: schedule.metadata.fetchedAt,
+				...(schedule.metadata.warnings && { warnings: schedule.metadata.warnings })
+			}
+		});
 	} catch (error) {
-		const responseTime = Date.now() - startTime;
-		console.error(`🚨 Query failed after ${responseTime}ms:`, error.message);
-
-		// Determine error type and appropriate response
-		// на енам справочники посадить можно
-		let statusCode = 500;
-		let errorCode = 'INTERNAL_ERROR';
-
-		if (error.message.includes('Invalid FlightAPI key')) {
-			statusCode = 502;
-			errorCode = 'FLIGHT_API_ERROR';
-		} else if (error.message.includes('rate limit')) {
-			statusCode = 429;
-			errorCode = 'RATE_LIMIT_EXCEEDED';
-		} else if (error.message.includes('timeout')) {
-			statusCode = 504;
-			errorCode = 'REQUEST_TIMEOUT';
-		} else if (error.message.includes('Invalid OpenRouter')) {
-			statusCode = 502;
-			errorCode = 'LLM_API_ERROR';
+		passQueryError(res, next, error, { airport, question: null, startTime });
+	}
+});
+
+/**
+ * GET /api/flights/lookup/:airport/:flightNumber?date=1
+ * A specific flight by flight number or callsign (EK5, EK005, UAE5) in an airport's
+ * arrivals and departures, as normalised records with times, status, aircraft and route
+ */
+router.get('/lookup/:airport/:flightNumber', scheduleParamsFromQuery, validateScheduleRequest, async (req, res, next) => {
+	const startTime = Date.now();
+	const { airport, date } = req.body;
+	const query = flightLookup.normalizeFlightNumber(req.params.flightNumber);
+
+	if (!query) {
+		return res.status(400).json({
+			error: 'Flight number must look like EK5, BA117 or a callsign like UAE5',
+			code: 'INVALID_FLIGHT_NUMBER'
+		});
+	}
+
+	try {
+		const schedule = await flightApiService.getAirportSchedule(airport, date || 1, 'both');
+		const flights = flightLookup.find(schedule.flights, query.normalized);
+
+		if (flights.length === 0) {
+			return res.status(404).json({
+				error: `Flight ${query.normalized} not found at ${airport} ${schedule.dayLabel}`,
+				code: 'FLIGHT_NOT_FOUND',
+				airport,
+				flightNumber: query.normalized,
+				dayParam: schedule.dayParam
+			});
 		}
 
-		res.status(statusCode).json({
-			error: error.message,
-			code: errorCode,
+		res.json({
 			airport,
-			question,
+			airportName: flightApiService.getAirportName(airport),
+			dayParam: schedule.dayParam,
+			dayLabel: schedule.dayLabel,
+			query: {
+				input: req.params.flightNumber,
+				normalized: query.normalized
+			},
+			flights,
 			metadata: {
-				responseTime: `${responseTime}ms`,
-				timestamp: new Date().toISOString()
+				responseTime: `${Date.now() - startTime}ms`,
+				timestamp: new Date().toISOString(),
+				dataSource: 'FlightAPI.io',
+				flightApiCalled: !schedule.metadata.cache.hit,
+				cache: schedule.metadata.cache,
+				fetchedAt: schedule.metadata.fetchedAt,
+				...(schedule.metadata.warnings && { warnings: schedule.metadata.warnings })
+			}
+		});
+	} catch (error) {
+		passQueryError(res, next, error, { airport, question: null, startTime });
+	}
+});
+
+/**
+ * GET /api/flights/schedule/:airport?date=1&mode=both&page=1&limit=25&sort=scheduled&order=asc&q=&status=
+ * Normalised flight list of an airport and day for the flights table: sorted, filtered by
+ * text (q for every column, flight/airline/origin/destination/aircraft for one) and status
+ * (comma-separated categories), paginated, with status counts for facets
+ */
+router.get('/schedule/:airport', scheduleParamsFromQuery, validateScheduleRequest, async (req, res, next) => {
+	const startTime = Date.now();
+	const { airport, date } = req.body;
+	const { mode = 'both', sort = 'scheduled', order = 'asc', q = '', status = '', page, limit } = req.query;
+
+	if (!flightTable.modes.includes(mode)) {
+		return res.status(400).json({
+			error: `Mode must be one of ${flightTable.modes.join(', ')}`,
+			code: 'INVALID_MODE'
+		});
+	}
+
+	if (!flightTable.sortFields.includes(sort) || !['asc', 'desc'].includes(order)) {
+		return res.status(400).json({
+			error: `Sort must be one of ${flightTable.sortFields.join(', ')} with order asc or desc`,
+			code: 'INVALID_SORT',
+			sortFields: flightTable.sortFields
+		});
+	}
+
+	const filters = Object.fromEntries(flightTable.textFilters
+		.filter(column => req.query[column])
+		.map(column => [column, String(req.query[column])]));
+	const statuses = String(status).split(',').map(value => value.trim().toLowerCase()).filter(Boolean);
+
+	try {
+		const schedule = await flightApiService.getAirportSchedule(airport, date || 1, mode);
+		const flights = flightTable.flights(schedule, mode);
+
+		res.json({
+			airport,
+			airportName: flightApiService.getAirportName(airport),
+			dayParam: schedule.dayParam,
+			dayLabel: schedule.dayLabel,
+			mode,
+			...flightTable.query(flights, { query: String(q), filters, statuses, sort, order, page, limit }),
+			sort: { field: sort, order },
+			filters: { q: String(q), ...filters, status: statuses },
+			metadata: {
+				responseTime: `${Date.now() - startTime}ms`,
+				timestamp: new Date().toISOString(),
+				dataSource: 'FlightAPI.io',
+				flightApiCalled: !schedule.metadata.cache.hit,
+				cache: schedule.metadata.cache,
+				fetchedAt: schedule.metadata.fetchedAt,
+				...(schedule.metadata.warnings && { warnings: schedule.metadata.warnings })
 			}
 		});
+	} catch (error) {
+		passQueryError(res, next, error, { airport, question: null, startTime });
 	}
 });
 
 /**
- * GET /api/flights/airports
- * Get list of supported airports - TODO integrate with frontend
+ * Send a file download
+ * @param {Object} res - Express response
+ * @param {string} filename - Download file name, its extension sets the content type
+ * @param {string} content - File content
+ */
+const sendDownload = (res, filename, content) => {
+	res.attachment(filename);
+	res.type(`${res.get('Content-Type')}; charset=utf-8`);
+	res.send(content);
+};
+
+const validateExportMode = (req, res, next) => {
+	const { mode = 'both' } = req.query;
+
+	if (!flightTable.modes.includes(mode)) {
+		return res.status(400).json({
+			error: `Mode must be one of ${flightTable.modes.join(', ')}`,
+			code: 'INVALID_MODE'
+		});
+	}
+	next();
+};
+
+/**
+ * GET /api/flights/export/:airport/flights?date=1&mode=both&question=&format=csv
+ * Download the flights behind a query as CSV or JSON: the flights of the FlightAPI mode
+ * the query used, narrowed to what the question names (countries, cities, airlines,
+ * flight numbers, statuses, a time window) exactly as for the answer prompt
+ */
+router.get('/export/:airport/flights', scheduleParamsFromQuery, validateScheduleRequest, validateExportMode, async (req, res, next) => {
+	const startTime = Date.now();
+	const { airport, date } = req.body;
+	const { mode = 'both', question = '', format = 'csv' } = req.query;
+
+	if (!flightExport.flightFormats.includes(format)) {
+		return res.status(400).json({
+			error: `Format must be one of ${flightExport.flightFormats.join(', ')}`,
+			code: 'INVALID_EXPORT_FORMAT',
+			formats: flightExport.flightFormats
+		});
+	}
+
+	try {
+		const schedule = await flightApiService.getAirportSchedule(airport, date || 1, mode);
+		const selection = promptContext.selectFlights(String(question), schedule, mode);
+		const filename = flightExport.filename(airport, schedule.dayLabel, 'flights', format);
+
+		log.info('Exporting flights', { airport, format, flights: selection.flights.length });
+
+		if (format === 'json') {
+			return sendDownload(res, filename, JSON.stringify({
+				airport,
+				airportName: flightApiService.getAirportName(airport),
+				dayParam: schedule.dayParam,
+				dayLabel: schedule.dayLabel,
+				mode,
+				question: String(question),
+				filters: selection.filters,
+				timezone: schedule.timezone,
+				total: selection.flights.length,
+				flights: selection.flights,
+				fetchedAt: schedule.metadata.fetchedAt
+			}, null, 2));
+		}
+
+		sendDownload(res, filename, flightExport.flightsCsv(selection.flights));
+	} catch (error) {
+		passQueryError(res, next, error, { airport, question: question || null, startTime });
+	}
+});
+
+/**
+ * GET /api/flights/export/:airport/aggregates?date=1&mode=both
+ * Download the counts behind a query as CSV: flights, countries, cities and airlines per
+ * direction, per-country/city/airline flight counts and punctuality figures
+ */
+router.get('/export/:airport/aggregates', scheduleParamsFromQuery, validateScheduleRequest, validateExportMode, async (req, res, next) => {
+	const startTime = Date.now();
+	const { airport, date } = req.body;
+	const { mode = 'both' } = req.query;
+
+	try {
+		const schedule = await flightApiService.getAirportSchedule(airport, date || 1, mode);
+		const processedData = flightApiService.processFlightData(schedule);
+
+		sendDownload(res, flightExport.filename(airport, schedule.dayLabel, 'aggregates', 'csv'), flightExport.aggregatesCsv(processedData));
+	} catch (error) {
+		passQueryError(res, next, error, { airport, question: null, startTime });
+	}
+});
+
+/**
+ * GET /api/flights/export/:airport/calendar?date=1&ids=arrivals-EK5-1760871600,...
+ * Download selected flights (canonical flight ids, comma-separated) as an iCalendar
+ * file with one event per flight from scheduled departure to scheduled arrival
+ */
+router.get('/export/:airport/calendar', scheduleParamsFromQuery, validateScheduleRequest, async (req, res, next) => {
+	const startTime = Date.now();
+	const { airport, date } = req.body;
+	const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+
+	if (ids.length === 0) {
+		return res.status(400).json({
+			error: 'Select at least one flight (ids=flight id,...)',
+			code: 'NO_FLIGHTS_SELECTED'
+		});
+	}
+
+	try {
+		const schedule = await flightApiService.getAirportSchedule(airport, date || 1, 'both');
+		const flights = schedule.flights.filter(flight => ids.includes(flight.id));
+
+		if (flights.length === 0) {
+			return res.status(404).json({
+				error: `None of the selected flights are in the ${airport} schedule for ${schedule.dayLabel}`,
+				code: 'FLIGHT_NOT_FOUND',
+				airport,
+				dayParam: schedule.dayParam
+			});
+		}
+
+		sendDownload(
+			res,
+			flightExport.filename(airport, schedule.dayLabel, 'flights', 'ics'),
+			flightExport.calendar(flights, { name: `${airport} flights ${schedule.dayLabel}` })
+		);
+	} catch (error) {
+		passQueryError(res, next, error, { airport, question: null, startTime });
+	}
+});
+
+/**
+ * GET /api/flights/airports?q=&page=&limit=&all=
+ * Search airports from the registry. Only queryable airports unless all=true
  */
 router.get('/airports', (req, res) => {
-	const airports = [
-		{ code: 'DXB', name: 'Dubai International Airport', city: 'Dubai', country: 'UAE' },
-		{ code: 'LHR', name: 'London Heathrow Airport', city: 'London', country: 'UK' },
-		{ code: 'CDG', name: 'Charles de Gaulle Airport', city: 'Paris', country: 'France' },
-		{ code: 'SIN', name: 'Singapore Changi Airport', city: 'Singapore', country: 'Singapore' },
-		{ code: 'HKG', name: 'Hong Kong International Airport', city: 'Hong Kong', country: 'Hong Kong' },
-		{ code: 'AMS', name: 'Amsterdam Airport Schiphol', city: 'Amsterdam', country: 'Netherlands' }
-	];
+	const { q = '', page, limit, all } = req.query;
+
+	const result = airportRegistry.search({
+		query: String(q),
+		page,
+		limit,
+		includeAll: all === 'true'
+	});
 
 	res.json({
-		airports,
-		total: airports.length,
+		...result,
 		metadata: {
 			timestamp: new Date().toISOString()
 		}
@@ -233,27 +1062,35 @@ router.get('/airports', (req, res) => {
 });
 
 /**
- * GET /api/flights/health
- * Health check endpoint mock for the flights service. можно на пм2 посадить трекать жив ли сервис
+ * GET /api/flights/airports/:code
+ * Airport details by IATA or ICAO code
  */
-router.get('/health', async (req, res) => {
-	const health = {
-		status: 'OK',
-		timestamp: new Date().toISOString(),
-		services: {
-			flightApi: 'Unknown',
-			llm: 'Unknown'
-		}
-	};
+router.get('/airports/:code', (req, res) => {
+	const airport = airportRegistry.get(req.params.code);
 
-	// Don't test FlightAPI in health check to avoid unnecessary expensive API calls
-	health.services.flightApi = 'Not tested (avoiding unnecessary API calls)';
+	if (!airport) {
+		return res.status(404).json({
+			error: `Airport ${req.params.code} not found`,
+			code: 'AIRPORT_NOT_FOUND'
+		});
+	}
 
-	// Note: We don't test LLM service in health check to avoid unnecessary API calls
-	health.services.llm = 'Not tested';
+	res.json({
+		airport: airportRegistry.toPublic(airport),
+		metadata: {
+			timestamp: new Date().toISOString()
+		}
+	});
+});
 
-	const statusCode = health.status === 'OK' ? 200 : 503;
-	res.status(statusCode).json(health);
+/**
+ * GET /api/flights/health
+ * Readiness of the flights service: FlightAPI and LLM configuration and reachability
+ * (same report as /health/ready, probes cached for HEALTH_PROBE_INTERVAL_SECONDS)
+ */
+router.get('/health', async (req, res) => {
+	const report = await healthChecks.readiness();
+	res.status(report.ready ? 200 : 503).json(report);
 });
 
 export default router;
@@ -0,0 +1,328 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import logger from './logger.js';
+
+// Load environment variables
+dotenv.config();
+
+const DEFAULT_AIRPORTS_FILE = fileURLToPath(new URL('../../data/airports.csv', import.meta.url));
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Queryable airports unless AIRPORT_ALLOWLIST says otherwise
+const DEFAULT_ALLOWLIST = 'DXB,LHR,CDG,SIN,HKG,AMS';
+// Days from today at the airport per FlightAPI day parameter
+const DAY_OFFSETS = { '-1': -1, '1': 0, '2': 1 };
+
+const log = logger.child({ component: 'airportRegistry' });
+
+/**
+ * Parse one CSV line, supporting quoted fields with commas and "" escapes
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Field values
+ */
+const parseCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields.map(value => value.trim());
+};
+
+/**
+ * Airport registry loaded from a bundled CSV (AIRPORTS_FILE, columns:
+ * iata, icao, name, city, country, country_code, latitude, longitude, timezone).
+ * AIRPORT_ALLOWLIST=DXB,LHR,... limits which airports can be queried (default
+ * DXB, LHR, CDG, SIN, HKG, AMS); "*" makes every airport in the file queryable.
+ */
+class AirportRegistry {
+  constructor() {
+    this.file = process.env.AIRPORTS_FILE || DEFAULT_AIRPORTS_FILE;
+    this.airports = new Map();
+    this.dateFormatters = new Map();
+    this.zoneFormatters = new Map();
+    this._load();
+
+    const allowlist = (process.env.AIRPORT_ALLOWLIST || DEFAULT_ALLOWLIST)
+      .split(',')
+      .map(code => code.trim().toUpperCase())
+      .filter(Boolean);
+    this.allowlist = allowlist.includes('*') ? null : new Set(allowlist);
+
+    const unknown = allowlist.filter(code => code !== '*' && !this.airports.has(code));
+    if (unknown.length > 0) {
+      log.warn('AIRPORT_ALLOWLIST contains airports missing from the airports file', { file: this.file, unknown });
+    }
+
+    log.info('Airport registry loaded', { airports: this.airports.size, queryable: this.getQueryableCodes().length });
+  }
+
+  /**
+   * Get airport by IATA (or ICAO) code
+   * @param {string} code - Airport code
+   * @returns {Object|null} Airport record
+   */
+  get(code) {
+    const normalized = code?.toUpperCase().trim();
+    if (!normalized) {
+      return null;
+    }
+
+    return this.airports.get(normalized) ||
+      Array.from(this.airports.values()).find(airport => airport.icao === normalized) ||
+      null;
+  }
+
+  /**
+   * Check that an airport exists and is allowed by AIRPORT_ALLOWLIST
+   * @param {string} code - IATA (or ICAO) airport code
+   * @returns {boolean} Whether schedules can be queried for the airport
+   */
+  isQueryable(code) {
+    const airport = this.get(code);
+    return Boolean(airport) && (!this.allowlist || this.allowlist.has(airport.iata));
+  }
+
+  /**
+   * IATA codes of all queryable airports
+   * @returns {Array<string>} Sorted airport codes
+   */
+  getQueryableCodes() {
+    return Array.from(this.airports.keys()).filter(code => this.isQueryable(code)).sort();
+  }
+
+  /**
+   * Search airports by code, name, city or country
+   * @param {Object} options - Search options
+   * @param {string} options.query - Search text, all airports when empty
+   * @param {number} options.page - 1-based page number
+   * @param {number} options.limit - Page size (max 100)
+   * @param {boolean} options.includeAll - Include airports outside the allowlist
+   * @returns {Object} { airports, total, page, limit, totalPages }
+   */
+  search({ query = '', page = 1, limit = DEFAULT_PAGE_SIZE, includeAll = false } = {}) {
+    const text = query.toLowerCase().trim();
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const matches = Array.from(this.airports.values())
+      .filter(airport => includeAll || this.isQueryable(airport.iata))
+      .map(airport => ({ airport, rank: text ? this._rank(airport, text) : 0 }))
+      .filter(({ rank }) => rank !== null)
+      .sort((a, b) => a.rank - b.rank || a.airport.iata.localeCompare(b.airport.iata))
+      .map(({ airport }) => this.toPublic(airport));
+
+    return {
+      airports: matches.slice((pageNumber - 1) * pageSize, pageNumber * pageSize),
+      total: matches.length,
+      page: pageNumber,
+      limit: pageSize,
+      totalPages: Math.ceil(matches.length / pageSize)
+    };
+  }
+
+  /**
+   * Airport name by code
+   * @param {string} code - IATA airport code
+   * @returns {string} Airport name or 'Unknown Airport'
+   */
+  getName(code) {
+    return this.get(code)?.name || 'Unknown Airport';
+  }
+
+  /**
+   * Calendar date at the airport a day parameter stands for right now
+   * @param {string} code - IATA airport code
+   * @param {number} dayParam - Day parameter: -1, 1 or 2
+   * @returns {string} Local date, e.g. 2025-10-19 (UTC date when the timezone is unknown)
+   */
+  localDate(code, dayParam = 1) {
+    const today = this._dateFormatter(this.get(code)?.timezone).format(new Date());
+    return this._addDays(today, DAY_OFFSETS[String(dayParam)] ?? 0);
+  }
+
+  /**
+   * Day parameter that fetches a calendar date at the airport right now
+   * @param {string} code - IATA airport code
+   * @param {string} date - Local date, e.g. 2025-10-19
+   * @returns {number|null} -1, 1 or 2, null once the date is outside yesterday..tomorrow
+   */
+  dayParamFor(code, date) {
+    const today = this.localDate(code, 1);
+    const offset = Math.round((Date.parse(date) - Date.parse(today)) / (24 * 60 * 60 * 1000));
+    const entry = Object.entries(DAY_OFFSETS).find(([, days]) => days === offset);
+    return entry ? Number(entry[0]) : null;
+  }
+
+  /**
+   * Current UTC offset and abbreviation of an airport's timezone, for schedules where
+   * FlightAPI leaves the timezone out
+   * @param {string} code - IATA airport code
+   * @returns {Object|null} { name, abbr, offsetMinutes }, null when the timezone is unknown
+   */
+  timezone(code) {
+    const name = this.get(code)?.timezone;
+    const formatters = name && this._zoneFormatters(name);
+    if (!formatters) {
+      return null;
+    }
+
+    const now = new Date();
+    const abbr = this._zoneName(formatters.abbr, now);
+
+    return {
+      name,
+      // en-US only has letter abbreviations for some zones (EDT, GMT), others come out as GMT+4
+      abbr: /^[A-Z]{2,5}$/.test(abbr) ? abbr : null,
+      offsetMinutes: this.offsetAt(name, now)
+    };
+  }
+
+  /**
+   * UTC offset of an IANA timezone at a given instant, so times on both sides of a DST switch are right
+   * @param {string} timezone - IANA timezone name, e.g. Europe/London
+   * @param {Date|number} date - Instant (Date or epoch milliseconds)
+   * @returns {number|null} Offset in minutes, null when the timezone is unknown
+   */
+  offsetAt(timezone, date) {
+    const formatters = timezone && this._zoneFormatters(timezone);
+    if (!formatters) {
+      return null;
+    }
+
+    // "GMT+05:30", "GMT-04:00" or just "GMT"
+    const [, sign = '+', hours = '0', minutes = '0'] = this._zoneName(formatters.offset, date).match(/([+-])(\d{2}):(\d{2})/) || [];
+    return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+  }
+
+  /**
+   * Public view of an airport record
+   * @param {Object} airport - Airport record
+   * @returns {Object} Airport with queryable flag
+   */
+  toPublic(airport) {
+    return {
+      ...airport,
+      queryable: this.isQueryable(airport.iata)
+    };
+  }
+
+  /**
+   * Lower rank is a better match, null is no match. Matches at the start of a word
+   * ("lon" in "London", "heath" in "London Heathrow") rank above ones inside a word ("Barcelona")
+   */
+  _rank(airport, text) {
+    const code = text.toUpperCase();
+    const city = airport.city.toLowerCase();
+    const name = airport.name.toLowerCase();
+    const country = airport.country.toLowerCase();
+
+    if (airport.iata === code || airport.icao === code) return 0;
+    if (airport.iata.startsWith(code)) return 1;
+    if (city.startsWith(text)) return 2;
+    if (name.startsWith(text)) return 3;
+    if (this._wordStartsWith(city, text) || this._wordStartsWith(name, text)) return 4;
+    if (country.startsWith(text) || airport.countryCode.toLowerCase() === text) return 5;
+    if (this._wordStartsWith(country, text)) return 6;
+    if (city.includes(text) || name.includes(text)) return 7;
+    return null;
+  }
+
+  // Any word of the value starts with the text; text with spaces ("de gaulle") is matched after a space
+  _wordStartsWith(value, text) {
+    return value.split(/[^\p{L}\p{N}]+/u).some(word => word.startsWith(text)) || value.includes(` ${text}`);
+  }
+
+  // en-CA formats dates as YYYY-MM-DD; unknown or invalid timezones fall back to UTC
+  _dateFormatter(timezone) {
+    const key = timezone || 'UTC';
+    if (!this.dateFormatters.has(key)) {
+      let formatter;
+      try {
+        formatter = new Intl.DateTimeFormat('en-CA', { timeZone: key, year: 'numeric', month: '2-digit', day: '2-digit' });
+      } catch (error) {
+        log.warn('Unknown airport timezone, using UTC', { timezone: key });
+        formatter = this._dateFormatter('UTC');
+      }
+      this.dateFormatters.set(key, formatter);
+    }
+    return this.dateFormatters.get(key);
+  }
+
+  _zoneFormatters(timezone) {
+    if (!this.zoneFormatters.has(timezone)) {
+      try {
+        this.zoneFormatters.set(timezone, {
+          offset: new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'longOffset' }),
+          abbr: new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'short' })
+        });
+      } catch (error) {
+        this.zoneFormatters.set(timezone, null);
+      }
+    }
+    return this.zoneFormatters.get(timezone);
+  }
+
+  _zoneName(formatter, date) {
+    return formatter.formatToParts(date).find(({ type }) => type === 'timeZoneName')?.value || '';
+  }
+
+  _addDays(date, days) {
+    return new Date(Date.parse(date) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  }
+
+  _load() {
+    try {
+      const lines = fs.readFileSync(this.file, 'utf8').split(/\r?\n/).filter(line => line.trim());
+      const header = parseCsvLine(lines.shift());
+
+      lines.forEach(line => {
+        const row = Object.fromEntries(parseCsvLine(line).map((value, index) => [header[index], value]));
+        const iata = row.iata?.toUpperCase();
+        if (!iata || !/^[A-Z]{3}$/.test(iata)) {
+          return;
+        }
+
+        this.airports.set(iata, {
+          code: iata,
+          iata,
+          icao: row.icao?.toUpperCase() || null,
+          name: row.name,
+          city: row.city,
+          country: row.country,
+          countryCode: row.country_code,
+          latitude: parseFloat(row.latitude),
+          longitude: parseFloat(row.longitude),
+          timezone: row.timezone || null
+        });
+      });
+    } catch (error) {
+      log.error('Could not load airports', { file: this.file, error });
+    }
+  }
+}
+
+export default new AirportRegistry();
@@ -0,0 +1,218 @@
+import flightLookup from './flightLookup.js';
+import flightNormalizer from './flightNormalizer.js';
+import logger from './logger.js';
+
+// Line the model writes between the prose answer and its citations JSON
+const CITATIONS_MARKER = '[[CITATIONS]]';
+
+const MAX_CITED_FLIGHTS = 50;
+const DIRECTIONS = ['arrivals', 'departures'];
+// Aggregates the model may cite; each is recomputed from the processed schedule
+const AGGREGATE_METRICS = ['flights', 'country', 'city', 'airline', 'countries', 'cities', 'airlines'];
+
+const log = logger.child({ component: 'answerCitations' });
+
+/**
+ * Structured output of the answer step: the model writes its prose answer,
+ * then a marker line and a JSON object with the flights and aggregates the
+ * answer relies on. The citations are checked against processFlightData
+ * output, so invented flights or wrong counts are flagged instead of shown
+ * as facts.
+ */
+class AnswerCitations {
+	constructor() {
+		this.marker = CITATIONS_MARKER;
+	}
+
+	/**
+	 * Prompt section describing the citations block
+	 * @returns {string} Output format instructions for the answer prompt
+	 */
+	buildInstructions() {
+		return `OUTPUT FORMAT:
+Write the answer for the customer first. After the answer, write a line containing only ${CITATIONS_MARKER}, then one JSON object (no code fence) listing what the answer relies on:
+{"flights": ["<flight number as in the FLIGHTS rows>", ...], "aggregates": [{"metric": "<metric>", "direction": "arrivals" or "departures" or "both", "key": "<country, city or airline name, or null>", "value": <number>}]}
+- "flights": every flight the answer mentions, by its flight number from the FLIGHTS rows. Empty list when the answer mentions no single flight
+- "aggregates": every count the answer states. metric is "flights" (total flights), "country", "city" or "airline" (flights to/from that country, city or airline, named in "key" as in the data), or "countries", "cities", "airlines" (number of distinct ones)
+- Never mention ${CITATIONS_MARKER} or the JSON in the answer itself`;
+	}
+
+	/**
+	 * Wrap a streaming token callback so the citations block is not streamed to the client
+	 * @param {Function} onToken - Called with each answer fragment
+	 * @returns {Object|undefined} { push, end } - push takes each fragment, end sends what was
+	 * held back when the stream finished without a marker; undefined when onToken is not set
+	 */
+	filterStream(onToken) {
+		if (!onToken) {
+			return undefined;
+		}
+
+		let buffer = '';
+		let done = false;
+
+		const push = (text) => {
+			if (done) {
+				return;
+			}
+
+			buffer += text;
+			const markerIndex = buffer.indexOf(CITATIONS_MARKER);
+			if (markerIndex >= 0) {
+				done = true;
+				const rest = buffer.slice(0, markerIndex).trimEnd();
+				if (rest) {
+					onToken(rest);
+				}
+				return;
+			}
+
+			// Hold back a tail that could be the start of the marker
+			let keep = Math.min(buffer.length, CITATIONS_MARKER.length - 1);
+			while (keep > 0 && !CITATIONS_MARKER.startsWith(buffer.slice(-keep))) {
+				keep--;
+			}
+
+			const ready = buffer.slice(0, buffer.length - keep);
+			buffer = buffer.slice(buffer.length - keep);
+			if (ready) {
+				onToken(ready);
+			}
+		};
+
+		const end = () => {
+			if (!done && buffer) {
+				onToken(buffer);
+			}
+			done = true;
+			buffer = '';
+		};
+
+		return { push, end };
+	}
+
+	/**
+	 * Split a completion into the prose answer and the raw citations
+	 * @param {string} text - Completion text
+	 * @returns {Object} { answer, citations } - citations is null when the block is missing or not valid JSON
+	 */
+	split(text) {
+		const markerIndex = text.indexOf(CITATIONS_MARKER);
+		if (markerIndex < 0) {
+			return { answer: text.trim(), citations: null };
+		}
+
+		const answer = text.slice(0, markerIndex).trim();
+		const block = text.slice(markerIndex + CITATIONS_MARKER.length);
+
+		try {
+			const jsonMatch = block.match(/\{[\s\S]*\}/);
+			return { answer, citations: JSON.parse(jsonMatch ? jsonMatch[0] : block) };
+		} catch (error) {
+			log.warn('Could not parse answer citations', { error });
+			return { answer, citations: null };
+		}
+	}
+
+	/**
+	 * Check cited flights and aggregates against the processed schedule
+	 * @param {Object} citations - Raw citations from split()
+	 * @param {Object} flightData - Processed flight data
+	 * @returns {Object|null} { flights, unverifiedFlights, aggregates, verified } or null without citations
+	 */
+	validate(citations, flightData) {
+		if (!citations || typeof citations !== 'object') {
+			return null;
+		}
+
+		const flights = [];
+		const unverifiedFlights = [];
+		const seen = new Set();
+
+		(Array.isArray(citations.flights) ? citations.flights : [])
+			.filter(flightNumber => typeof flightNumber === 'string' && flightNumber.trim())
+			.slice(0, MAX_CITED_FLIGHTS)
+			.forEach(flightNumber => {
+				const matches = flightLookup.find(flightData.flights, flightNumber);
+				if (matches.length === 0) {
+					unverifiedFlights.push(flightNumber.trim());
+					return;
+				}
+
+				matches
+					.filter(flight => !seen.has(flight.id))
+					.forEach(flight => {
+						seen.add(flight.id);
+						flights.push(flight);
+					});
+			});
+
+		const aggregates = (Array.isArray(citations.aggregates) ? citations.aggregates : [])
+			.filter(aggregate => aggregate && AGGREGATE_METRICS.includes(aggregate.metric))
+			.map(aggregate => this._checkAggregate(aggregate, flightData));
+
+		const verified = unverifiedFlights.length === 0 && aggregates.every(aggregate => aggregate.verified);
+		if (!verified) {
+			const wrongCounts = aggregates.filter(aggregate => !aggregate.verified).length;
+			log.warn('Answer citations not backed by the schedule', { unknownFlights: unverifiedFlights.length, wrongCounts });
+		}
+
+		return { flights, unverifiedFlights, aggregates, verified };
+	}
+
+	/**
+	 * Recompute a cited count from the processed data
+	 */
+	_checkAggregate({ metric, direction, key, value }, flightData) {
+		const directions = DIRECTIONS.includes(direction) ? [direction] : DIRECTIONS;
+		const name = typeof key === 'string' && key.trim() ? key.trim() : null;
+		const expected = this._count(metric, directions, name, flightData);
+		const cited = typeof value === 'number' ? value : Number(value);
+
+		return {
+			metric,
+			direction: directions.length === 1 ? directions[0] : 'both',
+			key: name,
+			value: Number.isFinite(cited) ? cited : null,
+			expected,
+			verified: expected !== null && cited === expected
+		};
+	}
+
+	_count(metric, directions, name, flightData) {
+		const airlines = directions.flatMap(direction => flightData[direction].flights)
+			.map(flight => flightNormalizer.labels(flight).airline);
+
+		switch (metric) {
+			case 'flights':
+				return airlines.length;
+			case 'country':
+				return name ? this._matching(directions, flightData, 'byCountry', name) : null;
+			case 'city':
+				return name ? this._matching(directions, flightData, 'byCity', name) : null;
+			case 'airline':
+				return name ? airlines.filter(airline => this._same(airline, name)).length : null;
+			case 'countries':
+				return new Set(directions.flatMap(direction => Object.keys(flightData[direction].byCountry))).size;
+			case 'cities':
+				return new Set(directions.flatMap(direction => Object.keys(flightData[direction].byCity))).size;
+			case 'airlines':
+				return new Set(airlines).size;
+			default:
+				return null;
+		}
+	}
+
+	// Flights in the groups of one country or city, case-insensitive
+	_matching(directions, flightData, grouping, name) {
+		return directions.reduce((total, direction) => total + Object.entries(flightData[direction][grouping])
+			.filter(([group]) => this._same(group, name))
+			.reduce((sum, [, flights]) => sum + flights.length, 0), 0);
+	}
+
+	_same(a, b) {
+		return String(a).toLowerCase() === String(b).toLowerCase();
+	}
+}
+
+export default new AnswerCitations();
@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const CONVERSATION_TTL_MS = (parseInt(process.env.CONVERSATION_TTL_MINUTES) || 60) * 60 * 1000;
+const MAX_CONVERSATIONS = parseInt(process.env.MAX_CONVERSATIONS) || 1000;
+const MAX_TURNS = 50;
+
+/**
+ * In-memory conversation sessions. Each conversation is bound to one airport and day
+ * and keeps its turns plus the FlightAPI responses fetched so far, so follow-up
+ * questions can be answered without refetching the schedule.
+ */
+class ConversationStore {
+  constructor() {
+    this.conversations = new Map();
+  }
+
+  /**
+   * Start a new conversation
+   * @param {string} airport - IATA airport code
+   * @param {number} dayParam - Day parameter: -1, 1 or 2
+   * @returns {Object} Public conversation view
+   */
+  create(airport, dayParam) {
+    this._evictExpired();
+
+    if (this.conversations.size >= MAX_CONVERSATIONS) {
+      // Drop the least recently used conversation (Map keeps insertion order, touch() re-inserts)
+      const oldestId = this.conversations.keys().next().value;
+      this.conversations.delete(oldestId);
+    }
+
+    const now = new Date().toISOString();
+    const conversation = {
+      id: crypto.randomUUID(),
+      airport,
+      dayParam,
+      createdAt: now,
+      updatedAt: now,
+      turns: [],
+      rawResult: null,
+      fetchedAt: null
+    };
+
+    this.conversations.set(conversation.id, conversation);
+    return this.toPublic(conversation);
+  }
+
+  /**
+   * Get conversation by id
+   * @param {string} id - Conversation id
+   * @returns {Object|null} Conversation or null if unknown/expired
+   */
+  get(id) {
+    const conversation = this.conversations.get(id);
+    if (!conversation) {
+      return null;
+    }
+
+    if (Date.now() - Date.parse(conversation.updatedAt) > CONVERSATION_TTL_MS) {
+      this.conversations.delete(id);
+      return null;
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Build pipeline context for the next question
+   * @param {Object} conversation - Conversation from get()
+   * @returns {Object} { history, rawResult, fetchedAt, lastStructured }
+   */
+  getContext(conversation) {
+    const lastTurn = conversation.turns[conversation.turns.length - 1];
+
+    return {
+      history: conversation.turns.map(turn => ({
+        question: turn.question,
+        answer: turn.answer,
+        mode: turn.analysis?.mode
+      })),
+      rawResult: conversation.rawResult,
+      fetchedAt: conversation.fetchedAt,
+      lastStructured: lastTurn?.analysis?.structured || null
+    };
+  }
+
+  /**
+   * Record an answered question and merge any newly fetched schedule data
+   * @param {Object} conversation - Conversation from get()
+   * @param {Object} body - Pipeline response body
+   * @param {Object|null} rawFlightData - Schedule used for the answer
+   * @returns {Object} Stored turn
+   */
+  addTurn(conversation, body, rawFlightData) {
+    // The raw FlightAPI payload is kept once per conversation, not per turn
+    const { rawResult, ...data } = body.data || {};
+
+    const turn = {
+      index: conversation.turns.length + 1,
+      question: body.question,
+      answer: body.answer,
+      citations: body.citations,
+      analysis: body.analysis,
+      data: body.data ? data : undefined,
+      metadata: body.metadata,
+      createdAt: new Date().toISOString()
+    };
+
+    conversation.turns.push(turn);
+    if (conversation.turns.length > MAX_TURNS) {
+      conversation.turns.shift();
+    }
+
+    if (rawFlightData && rawFlightData.metadata?.cache?.source !== 'conversation') {
+      conversation.rawResult = { ...conversation.rawResult, ...rawFlightData.rawResult };
+      conversation.fetchedAt = rawFlightData.metadata.fetchedAt;
+    }
+
+    this._touch(conversation);
+    return turn;
+  }
+
+  /**
+   * Public view of a conversation (without raw FlightAPI data)
+   * @param {Object} conversation - Conversation
+   * @returns {Object} Conversation summary with turns
+   */
+  toPublic(conversation) {
+    return {
+      id: conversation.id,
+      airport: conversation.airport,
+      dayParam: conversation.dayParam,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      scheduleLoaded: Object.keys(conversation.rawResult || {}),
+      turns: conversation.turns
+    };
+  }
+
+  _touch(conversation) {
+    conversation.updatedAt = new Date().toISOString();
+    this.conversations.delete(conversation.id);
+    this.conversations.set(conversation.id, conversation);
+  }
+
+  _evictExpired() {
+    const now = Date.now();
+    for (const [id, conversation] of this.conversations) {
+      if (now - Date.parse(conversation.updatedAt) > CONVERSATION_TTL_MS) {
+        this.conversations.delete(id);
+      }
+    }
+  }
+}
+
+export default new ConversationStore();
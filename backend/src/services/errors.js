@@ -0,0 +1,208 @@
+import logger from './logger.js';
+
+const log = logger.child({ component: 'errors' });
+
+/**
+ * Error with a stable code clients can rely on, the HTTP status to answer with,
+ * the upstream it came from (null for our own errors) and whether repeating
+ * the same request may succeed
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} message - Readable message, sent to the client
+   * @param {Object} options - Error options
+   * @param {string} options.code - Stable error code (e.g. 'NO_FLIGHT_DATA')
+   * @param {number} options.statusCode - HTTP status of the response
+   * @param {string} options.upstream - Upstream that failed ('flightapi', 'openrouter', ...)
+   * @param {boolean} options.retryable - Whether retrying the same request may succeed
+   * @param {number} options.retryAfter - Seconds to wait before retrying, when known
+   * @param {Object} options.details - Extra fields for the response body
+   * @param {Error} options.cause - Original error
+   */
+  constructor(message, { code = 'INTERNAL_ERROR', statusCode = 500, upstream = null, retryable = false, retryAfter = null, details = null, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.code = code;
+    this.statusCode = statusCode;
+    this.upstream = upstream;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+    this.details = details;
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message, { code = 'NOT_FOUND', ...options } = {}) {
+    super(message, { code, statusCode: 404, ...options });
+  }
+}
+
+// Upstream answered in a way we can't use (unexpected status, empty answer)
+export class UpstreamError extends AppError {
+  constructor(message, { code = 'UPSTREAM_ERROR', statusCode = 502, ...options } = {}) {
+    super(message, { code, statusCode, ...options });
+  }
+}
+
+// Our credentials were rejected; needs an operator, retrying won't help
+export class UpstreamAuthError extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UPSTREAM_AUTH_FAILED', statusCode: 502, ...options, retryable: false });
+  }
+}
+
+// The account ran out of credits or quota (HTTP 402); needs an operator
+export class UpstreamQuotaError extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UPSTREAM_QUOTA_EXHAUSTED', statusCode: 503, ...options, retryable: false });
+  }
+}
+
+export class UpstreamRateLimitError extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, { code: 'RATE_LIMIT_EXCEEDED', statusCode: 429, ...options, retryable: true });
+  }
+}
+
+export class UpstreamTimeoutError extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, { code: 'REQUEST_TIMEOUT', statusCode: 504, ...options, retryable: true });
+  }
+}
+
+// Network failure or upstream 5xx
+export class UpstreamUnavailableError extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UPSTREAM_UNAVAILABLE', statusCode: 502, ...options, retryable: true });
+  }
+}
+
+// Too many recent failures; calls fail fast until the circuit breaker lets a trial request through
+export class CircuitOpenError extends UpstreamUnavailableError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UPSTREAM_CIRCUIT_OPEN', statusCode: 503, ...options });
+  }
+}
+
+/**
+ * Seconds from a Retry-After header (delay in seconds or HTTP date)
+ * @param {string} value - Header value
+ * @returns {number|null} Seconds to wait, null when missing or unreadable
+ */
+export const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, Math.ceil(seconds));
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+};
+
+/**
+ * Map a failed upstream call (axios error) to a typed error. AppErrors pass through unchanged
+ * @param {Error} error - Axios or other error
+ * @param {Object} options - { upstream: id, label: human readable name }
+ * @returns {AppError} Typed error
+ */
+export const toUpstreamError = (error, { upstream, label }) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  const status = error.response?.status;
+  const options = { upstream, cause: error };
+
+  if (status === 401 || status === 403) {
+    return new UpstreamAuthError(`Invalid ${label} API key. Please check your configuration.`, options);
+  } else if (status === 402) {
+    return new UpstreamQuotaError(`${label} account has insufficient credits.`, options);
+  } else if (status === 429) {
+    return new UpstreamRateLimitError(`${label} rate limit exceeded. Please try again later.`, {
+      ...options,
+      retryAfter: parseRetryAfter(error.response.headers?.['retry-after'])
+    });
+  } else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new UpstreamTimeoutError(`${label} request timeout. Please try again.`, options);
+  } else if (status >= 500 || (!status && error.code && error.code !== 'ERR_CANCELED')) {
+    return new UpstreamUnavailableError(`${label} is unavailable (${status ? `HTTP ${status}` : error.code}). Please try again later.`, options);
+  }
+
+  return new UpstreamError(`${label} request failed: ${error.message}`, options);
+};
+
+/**
+ * Response body for an error, shared by the error middleware and streamed `error` events
+ * @param {AppError} error - Typed error
+ * @returns {Object} { error, code, status, upstream, retryable, retryAfter?, ...details }
+ */
+export const errorBody = (error) => ({
+  error: error.message,
+  code: error.code,
+  status: error.statusCode,
+  upstream: error.upstream,
+  retryable: error.retryable,
+  ...(error.retryAfter !== null && { retryAfter: error.retryAfter }),
+  ...error.details
+});
+
+/**
+ * Any thrown value as an AppError. Unknown errors become INTERNAL_ERROR, with the
+ * message hidden in production; body parser errors keep their 4xx status
+ * @param {*} error - Thrown value
+ * @returns {AppError} Typed error
+ */
+export const toAppError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  if (error?.type && error.status >= 400 && error.status < 500) {
+    return new AppError(error.message, { code: 'INVALID_REQUEST_BODY', statusCode: error.status, cause: error });
+  }
+
+  const message = process.env.NODE_ENV === 'production' ? 'Internal server error' : error?.message || String(error);
+  return new AppError(message, { cause: error });
+};
+
+/**
+ * Express error middleware: answers every error passed to next() with its status and
+ * errorBody. Routes can set res.locals.errorContext = { airport, question, startTime }
+ * to echo what the failed request was about
+ * @returns {Function} Error middleware
+ */
+export const errorMiddleware = () => (err, req, res, next) => {
+  const error = toAppError(err);
+  const { airport, question, startTime } = res.locals.errorContext || {};
+  const durationMs = startTime ? Date.now() - startTime : undefined;
+
+  const fields = { method: req.method, path: req.originalUrl, airport, durationMs, error: err };
+  if (error.statusCode >= 500) {
+    log.error('Request failed', fields);
+  } else {
+    log.warn('Request failed', fields);
+  }
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (error.retryAfter !== null) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  res.status(error.statusCode).json({
+    ...errorBody(error),
+    ...(airport !== undefined && { airport }),
+    ...(question !== undefined && { question }),
+    ...(process.env.NODE_ENV !== 'production' && error.code === 'INTERNAL_ERROR' && { stack: err?.stack }),
+    metadata: {
+      ...(durationMs !== undefined && { responseTime: `${durationMs}ms` }),
+      timestamp: new Date().toISOString()
+    }
+  });
+};
@@ -1,5 +1,15 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
+import scheduleCache from './scheduleCache.js';
+import airportRegistry from './airportRegistry.js';
+import punctualityAnalytics from './punctualityAnalytics.js';
+import trafficHistogram from './trafficHistogram.js';
+import flightNormalizer from './flightNormalizer.js';
+import upstreamFixtures from './upstreamFixtures.js';
+import logger from './logger.js';
+import metrics from './metrics.js';
+import upstreamResilience from './upstreamResilience.js';
+import { NotFoundError, toUpstreamError } from './errors.js';
 
 // Load environment variables
 dotenv.config();
@@ -7,8 +17,12 @@ dotenv.config();
 const FLIGHT_API_KEY = process.env.FLIGHT_API_KEY;
 const FLIGHT_API_BASE = process.env.FLIGHT_API_BASE_URL;
 
+const log = logger.child({ component: 'flightApi' });
+
 class FlightApiService {
   constructor() {
+    // Pending FlightAPI schedule requests by airport/direction/day
+    this.inFlight = new Map();
     this.client = axios.create({
       baseURL: FLIGHT_API_BASE,
       timeout: 30000,
@@ -17,14 +31,24 @@ class FlightApiService {
       }
     });
 
-    // Request interceptor for logging
+    // Record/replay fixtures keyed by schedule parameters (never by the API key in the URL)
+    upstreamFixtures.attach(this.client, 'flightapi', (config) =>
+      `schedule_${config.params?.iata}_${config.params?.mode}_day${config.params?.day}`
+    );
+
+    // Request interceptor: correlation id for upstream and logging (the URL path carries the API key, so params are logged instead)
     this.client.interceptors.request.use(
       (config) => {
-        console.log(`🛫 FlightAPI Request: ${config.method?.toUpperCase()} ${config.url}`);
+        const requestId = logger.requestId();
+        if (requestId) {
+          config.headers['X-Request-Id'] = requestId;
+        }
+        config.metadata = { startTime: Date.now() };
+        log.info('FlightAPI request', { method: config.method?.toUpperCase(), params: config.params });
         return config;
       },
       (error) => {
-        console.error('🚨 FlightAPI Request Error:', error);
+        log.error('FlightAPI request error', { error });
         return Promise.reject(error);
       }
     );
@@ -32,14 +56,23 @@ class FlightApiService {
     // Response interceptor for logging and error handling
     this.client.interceptors.response.use(
       (response) => {
-        console.log(`✅ FlightAPI Response: ${response.status} ${response.config.url}`);
+        this._recordRequest(response.config, response.status);
+        log.info('FlightAPI response', {
+          status: response.status,
+          params: response.config.params,
+          durationMs: Date.now() - response.config.metadata?.startTime
+        });
         return response;
       },
       (error) => {
-        console.error('🚨 FlightAPI Response Error:', {
+        if (error.config) {
+          this._recordRequest(error.config, error.response?.status || error.code || 'error');
+        }
+        log.error('FlightAPI response error', {
           status: error.response?.status,
           message: error.response?.data?.message || error.message,
-          url: error.config?.url
+          params: error.config?.params,
+          durationMs: error.config?.metadata ? Date.now() - error.config.metadata.startTime : undefined
         });
         return Promise.reject(error);
       }
@@ -51,83 +84,121 @@ class FlightApiService {
    * @param {string} airportCode - IATA airport code (e.g., 'LHR', 'DXB')
    * @param {number|string} dayParam - Day parameter: -1 (yesterday), 1 (today), 2 (tomorrow)
    * @param {string} mode - FlightAPI mode: 'arrivals', 'departures', or 'both' (default)
-   * @returns {Promise<Object>} Flight schedule data with rawResult
+   * @returns {Promise<Object>} Flight schedule data with rawResult. When only one direction of
+   * `both` could be fetched, the other is empty and metadata.warnings says which and why
    */
   async getAirportSchedule(airportCode, dayParam = 1, mode = 'both') {
     try {
       const validDayParam = Number(dayParam) || 1;
-      console.log(`📡 Fetching flight data for ${airportCode} (day: ${validDayParam}, mode: ${mode})`);
+      const iata = airportCode.toUpperCase();
+      log.info('Fetching schedule', { airport: iata, day: validDayParam, mode });
 
       let rawResult = {};
+      const warnings = [];
+      let cacheEntry = await scheduleCache.get(iata, validDayParam, mode);
+      const cacheHit = Boolean(cacheEntry);
+      metrics.scheduleCacheLookups.inc({ result: cacheHit ? 'hit' : 'miss' });
 
-      // Make API calls based on mode
-      if (mode === 'both' || mode === 'arrivals') {
-        const arrivalsResponse = await this.client.get(`/schedule/${FLIGHT_API_KEY}`, {
-          params: {
-            mode: 'arrivals',
-            iata: airportCode.toUpperCase(),
-            day: validDayParam
-          }
-        });
-        rawResult.arrivals = arrivalsResponse.data;
-      }
+      if (cacheHit) {
+        log.info('Schedule cache hit', { key: cacheEntry.key });
+        rawResult = cacheEntry.rawResult;
+      } else {
+        // Directions are fetched in parallel; in both mode one failing direction still returns the other
+        const directions = mode === 'both' ? ['arrivals', 'departures'] : [mode];
+        const outcomes = await Promise.allSettled(directions.map(direction => this._fetchSchedule(iata, direction, validDayParam)));
+        const failed = outcomes.filter(outcome => outcome.status === 'rejected');
+
+        if (failed.length === directions.length) {
+          throw failed[0].reason;
+        }
 
-      if (mode === 'both' || mode === 'departures') {
-        const departuresResponse = await this.client.get(`/schedule/${FLIGHT_API_KEY}`, {
-          params: {
-            mode: 'departures',
-            iata: airportCode.toUpperCase(),
-            day: validDayParam
+        outcomes.forEach((outcome, index) => {
+          if (outcome.status === 'fulfilled') {
+            rawResult[directions[index]] = outcome.value.data;
+          } else {
+            warnings.push(this._partialScheduleWarning(iata, directions[index], outcome.reason));
           }
         });
-        rawResult.departures = departuresResponse.data;
+
+        // A partial result is cached under the direction it has, so the missing one is fetched again next time
+        const cachedMode = failed.length > 0 ? Object.keys(rawResult)[0] : mode;
+        cacheEntry = await scheduleCache.set(iata, validDayParam, cachedMode, rawResult);
       }
 
-      // Extract flight arrays for processing
-      const arrivals = rawResult.arrivals?.airport?.pluginData?.schedule?.arrivals?.data || [];
-      const departures = rawResult.departures?.airport?.pluginData?.schedule?.departures?.data || [];
-
-      const result = {
-        airport: airportCode.toUpperCase(),
-        dayParam: validDayParam,
-        dayLabel: this.getDayLabel(validDayParam),
-        arrivals: arrivals,
-        departures: departures,
-        rawResult: rawResult, // This is the complete FlightAPI response
-        metadata: {
-          totalArrivals: arrivals.length,
-          totalDepartures: departures.length,
-          fetchedAt: new Date().toISOString(),
-          apiEndpoint: 'FlightAPI.io /schedule',
-          parameters: {
-            mode: mode,
-            iata: airportCode.toUpperCase(),
-            day: validDayParam
-          }
-        }
-      };
+      const result = this.buildScheduleResult(iata, validDayParam, mode, rawResult, {
+        fetchedAt: new Date(cacheEntry.cachedAt).toISOString(),
+        cache: {
+          hit: cacheHit,
+          key: cacheEntry.key,
+          expiresAt: new Date(cacheEntry.expiresAt).toISOString()
+        },
+        ...(warnings.length > 0 && { warnings })
+      });
 
-      console.log(`📊 Retrieved ${arrivals.length} arrivals and ${departures.length} departures for ${airportCode} (${this.getDayLabel(validDayParam)})`);
+      log.info('Schedule retrieved', {
+        airport: iata,
+        dayLabel: result.dayLabel,
+        arrivals: result.arrivals.length,
+        departures: result.departures.length,
+        cacheHit,
+        partial: warnings.length > 0
+      });
       
       return result;
 
     } catch (error) {
-      console.error('🚨 FlightAPI Service Error:', error.message);
-      
-      if (error.response?.status === 401) {
-        throw new Error('Invalid FlightAPI key. Please check your API configuration.');
-      } else if (error.response?.status === 429) {
-        throw new Error('FlightAPI rate limit exceeded. Please try again later.');
-      } else if (error.response?.status === 404) {
-        throw new Error(`Airport ${airportCode} not found or no data available.`);
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('FlightAPI request timeout. Please try again.');
-      } else {
-        throw new Error(`Failed to fetch flight data: ${error.message}`);
+      log.error('Schedule fetch failed', { airport: airportCode, error });
+
+      if (error.response?.status === 404) {
+        throw new NotFoundError(`Airport ${airportCode} not found or no data available.`, {
+          code: 'NO_FLIGHT_DATA',
+          upstream: 'flightapi',
+          cause: error
+        });
       }
+      throw toUpstreamError(error, { upstream: 'flightapi', label: 'FlightAPI' });
     }
   }
 
+  /**
+   * Build schedule result from FlightAPI responses
+   * @param {string} airportCode - IATA airport code
+   * @param {number} dayParam - Day parameter: -1, 1 or 2
+   * @param {string} mode - FlightAPI mode the responses cover
+   * @param {Object} rawResult - FlightAPI responses keyed by direction
+   * @param {Object} metadata - Extra metadata (fetchedAt, cache info)
+   * @returns {Object} Flight schedule data in getAirportSchedule format
+   */
+  buildScheduleResult(airportCode, dayParam, mode, rawResult, metadata = {}) {
+    // Extract flight arrays for processing
+    const arrivals = rawResult.arrivals?.airport?.pluginData?.schedule?.arrivals?.data || [];
+    const departures = rawResult.departures?.airport?.pluginData?.schedule?.departures?.data || [];
+
+    return {
+      airport: airportCode,
+      dayParam: dayParam,
+      dayLabel: this.getDayLabel(dayParam),
+      arrivals: arrivals,
+      departures: departures,
+      // Canonical flights (flightNormalizer) every consumer works with
+      flights: flightNormalizer.normalizeSchedule(airportCode, rawResult),
+      timezone: flightNormalizer.airportTimezone(rawResult, airportCode),
+      rawResult: rawResult, // This is the complete FlightAPI response
+      metadata: {
+        totalArrivals: arrivals.length,
+        totalDepartures: departures.length,
+        fetchedAt: new Date().toISOString(),
+        apiEndpoint: 'FlightAPI.io /schedule',
+        parameters: {
+          mode: mode,
+          iata: airportCode,
+          day: dayParam
+        },
+        ...metadata
+      }
+    };
+  }
+
   /**
    * Get day label for day parameter
    * @param {number} dayParam - Day parameter
@@ -148,149 +219,90 @@ class FlightApiService {
    * @returns {Object} Processed and structured flight data
    */
   processFlightData(flightData) {
-    const { arrivals, departures, airport, dayParam, dayLabel, rawResult } = flightData;
-
-    // Process arrivals by country and city
-    const arrivalsByCountry = new Map();
-    const arrivalsByCity = new Map();
-    const arrivalAirlines = new Set();
-
-    arrivals.forEach(flight => {
-      if (flight.flight) {
-        // Extract country and city information from FlightAPI /schedule response
-        const originAirport = flight.flight.airport?.origin;
-        const country = originAirport?.position?.country?.name || 
-                       originAirport?.position?.country?.code || 
-                       'Unknown Country';
-        
-        const city = originAirport?.name || 
-                    originAirport?.code?.iata || 
-                    'Unknown City';
-        
-        const airline = flight.flight.airline?.name || 
-                       flight.flight.airline?.code?.iata || 
-                       'Unknown Airline';
-
-        // Group by country
-        if (!arrivalsByCountry.has(country)) {
-          arrivalsByCountry.set(country, []);
-        }
-        arrivalsByCountry.get(country).push({
-          city,
-          airline,
-          flightNumber: flight.flight.identification?.number?.default || flight.flight.identification?.callsign,
-          scheduledTime: flight.flight.time?.scheduled?.departure,
-          actualTime: flight.flight.time?.real?.departure,
-          status: flight.flight.status?.text,
-          aircraft: flight.flight.aircraft?.model?.text || flight.flight.aircraft?.registration
-        });
+    const { flights, timezone, airport, dayParam, dayLabel, rawResult } = flightData;
 
-        // Group by city
-        if (!arrivalsByCity.has(city)) {
-          arrivalsByCity.set(city, []);
+    const group = (direction) => {
+      const directionFlights = flights.filter(flight => flight.direction === direction);
+      const byCountry = new Map();
+      const byCity = new Map();
+      const airlines = new Set();
+      const add = (groups, key, flight) => {
+        if (!groups.has(key)) {
+          groups.set(key, []);
         }
-        arrivalsByCity.get(city).push({
-          country,
-          airline,
-          flightNumber: flight.flight.identification?.number?.default || flight.flight.identification?.callsign,
-          scheduledTime: flight.flight.time?.scheduled?.departure,
-          status: flight.flight.status?.text
-        });
-
-        arrivalAirlines.add(airline);
-      }
-    });
+        groups.get(key).push(flight);
+      };
 
-    // Process departures by country and city
-    const departuresByCountry = new Map();
-    const departuresByCity = new Map();
-    const departureAirlines = new Set();
-
-    departures.forEach(flight => {
-      if (flight.flight) {
-        // Extract destination country and city information from FlightAPI /schedule response
-        const destinationAirport = flight.flight.airport?.destination;
-        const country = destinationAirport?.position?.country?.name || 
-                       destinationAirport?.position?.country?.code || 
-                       'Unknown Country';
-        
-        const city = destinationAirport?.name || 
-                    destinationAirport?.code?.iata || 
-                    'Unknown City';
-        
-        const airline = flight.flight.airline?.name || 
-                       flight.flight.airline?.code?.iata || 
-                       'Unknown Airline';
-
-        // Group by country
-        if (!departuresByCountry.has(country)) {
-          departuresByCountry.set(country, []);
-        }
-        departuresByCountry.get(country).push({
-          city,
-          airline,
-          flightNumber: flight.flight.identification?.number?.default || flight.flight.identification?.callsign,
-          scheduledTime: flight.flight.time?.scheduled?.arrival,
-          actualTime: flight.flight.time?.real?.arrival,
-          status: flight.flight.status?.text,
-          aircraft: flight.flight.aircraft?.model?.text || flight.flight.aircraft?.registration
-        });
+      directionFlights.forEach(flight => {
+        const { airline, city, country } = flightNormalizer.labels(flight);
+        add(byCountry, country, flight);
+        add(byCity, city, flight);
+        airlines.add(airline);
+      });
 
-        // Group by city
-        if (!departuresByCity.has(city)) {
-          departuresByCity.set(city, []);
-        }
-        departuresByCity.get(city).push({
-          country,
-          airline,
-          flightNumber: flight.flight.identification?.number?.default || flight.flight.identification?.callsign,
-          scheduledTime: flight.flight.time?.scheduled?.arrival,
-          status: flight.flight.status?.text
-        });
+      return {
+        flights: directionFlights,
+        byCountry: Object.fromEntries(byCountry),
+        byCity: Object.fromEntries(byCity),
+        airlines: Array.from(airlines),
+        total: directionFlights.length
+      };
+    };
 
-        departureAirlines.add(airline);
-      }
-    });
+    // Flights grouped by the country and city they come from (arrivals) or go to (departures)
+    const arrivals = group('arrivals');
+    const departures = group('departures');
 
     return {
       airport,
       dayParam,
       dayLabel,
+      timezone,
       summary: {
-        totalArrivals: arrivals.length,
-        totalDepartures: departures.length,
-        arrivalCountries: arrivalsByCountry.size,
-        departureCountries: departuresByCountry.size,
-        arrivalCities: arrivalsByCity.size,
-        departureCities: departuresByCity.size,
-        uniqueAirlines: new Set([...arrivalAirlines, ...departureAirlines]).size
-      },
-      arrivals: {
-        byCountry: Object.fromEntries(arrivalsByCountry),
-        byCity: Object.fromEntries(arrivalsByCity),
-        airlines: Array.from(arrivalAirlines),
-        total: arrivals.length
-      },
-      departures: {
-        byCountry: Object.fromEntries(departuresByCountry),
-        byCity: Object.fromEntries(departuresByCity),
-        airlines: Array.from(departureAirlines),
-        total: departures.length
+        totalArrivals: arrivals.total,
+        totalDepartures: departures.total,
+        arrivalCountries: Object.keys(arrivals.byCountry).length,
+        departureCountries: Object.keys(departures.byCountry).length,
+        arrivalCities: Object.keys(arrivals.byCity).length,
+        departureCities: Object.keys(departures.byCity).length,
+        uniqueAirlines: new Set([...arrivals.airlines, ...departures.airlines]).size
       },
+      arrivals,
+      departures,
+      // Every canonical flight, both directions in schedule order
+      flights,
+      // Delays, on-time rate, cancellations and diversions (scheduled vs real times)
+      punctuality: punctualityAnalytics.analyze(flightData),
+      // Arrivals and departures per hour, airport-local time
+      traffic: trafficHistogram.build(flightData),
       metadata: flightData.metadata,
       rawResult: rawResult
     };
   }
 
 
+  /**
+   * Cheap reachability check of the FlightAPI host. Every schedule request costs
+   * credits, so the key itself is not exercised; any HTTP answer below 500 counts
+   * as reachable
+   * @param {Object} options - { timeout } in ms
+   * @returns {Promise<void>} Rejects when FlightAPI is unreachable or failing
+   */
+  async probe({ timeout = 5000 } = {}) {
+    // Plain axios: the probe is neither a fixture nor a metered FlightAPI call
+    const response = await axios.get(FLIGHT_API_BASE, { timeout, validateStatus: () => true });
+    if (response.status >= 500) {
+      throw new Error(`FlightAPI responded with HTTP ${response.status}`);
+    }
+  }
+
   /**
    * Validate airport code
    * @param {string} airportCode - IATA airport code to validate
    * @returns {boolean} Whether the airport code is valid
    */
   isValidAirportCode(airportCode) {
-    const validAirports = ['DXB', 'LHR', 'CDG', 'SIN', 'HKG', 'AMS'];
-    return validAirports.includes(airportCode?.toUpperCase());
+    return airportRegistry.isQueryable(airportCode);
   }
 
   /**
@@ -299,16 +311,47 @@ class FlightApiService {
    * @returns {string} Full airport name
    */
   getAirportName(airportCode) {
-    const airportNames = {
-      'DXB': 'Dubai International Airport',
-      'LHR': 'London Heathrow Airport', 
-      'CDG': 'Charles de Gaulle Airport (Paris)',
-      'SIN': 'Singapore Changi Airport',
-      'HKG': 'Hong Kong International Airport',
-      'AMS': 'Amsterdam Airport Schiphol'
+    return airportRegistry.getName(airportCode);
+  }
+
+  // Schedule GETs are idempotent: retried on transient failures, failing fast while the FlightAPI circuit is open.
+  // Simultaneous fetches of the same airport/direction/day share one upstream request
+  _fetchSchedule(iata, mode, day) {
+    const key = `${iata}_${mode}_${day}`;
+
+    if (this.inFlight.has(key)) {
+      log.info('Joining in-flight FlightAPI request', { key });
+      return this.inFlight.get(key);
+    }
+
+    const request = upstreamResilience.call('flightapi', () => this.client.get(`/schedule/${FLIGHT_API_KEY}`, {
+      params: { mode, iata, day }
+    }), { label: 'FlightAPI' }).finally(() => {
+      this.inFlight.delete(key);
+    });
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  _partialScheduleWarning(iata, direction, error) {
+    const { code, message } = toUpstreamError(error, { upstream: 'flightapi', label: 'FlightAPI' });
+    log.warn('Schedule direction failed, returning partial schedule', { airport: iata, direction, error });
+
+    return {
+      code: 'PARTIAL_SCHEDULE',
+      direction,
+      upstreamCode: code,
+      message: `${direction === 'arrivals' ? 'Arrivals' : 'Departures'} could not be loaded, only ${direction === 'arrivals' ? 'departures' : 'arrivals'} are included. ${message}`
     };
-    
-    return airportNames[airportCode?.toUpperCase()] || 'Unknown Airport';
+  }
+
+  _recordRequest(config, status) {
+    const mode = config.params?.mode || 'unknown';
+    metrics.flightApiRequests.inc({ mode, status });
+    if (config.metadata) {
+      metrics.flightApiDuration.observe({ mode }, (Date.now() - config.metadata.startTime) / 1000);
+    }
   }
 }
 
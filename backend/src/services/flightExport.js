@@ -0,0 +1,235 @@
+import flightNormalizer from './flightNormalizer.js';
+
+const CSV_LINE_BREAK = '\r\n';
+const ICS_LINE_BREAK = '\r\n';
+// iCalendar content lines longer than this many octets are folded
+const ICS_LINE_OCTETS = 75;
+const CALENDAR_PRODUCT = '-//Flight Assistant//Flight Export//EN';
+
+const FLIGHT_COLUMNS = [
+  ['id', (flight) => flight.id],
+  ['direction', (flight) => flight.direction],
+  ['flight_number', (flight) => flight.flightNumber],
+  ['callsign', (flight) => flight.callsign],
+  ['codeshares', (flight) => flight.codeshares.join(' ')],
+  ['airline', (flight) => flight.airline.name],
+  ['airline_iata', (flight) => flight.airline.iata],
+  ['origin_iata', (flight) => flight.origin.iata],
+  ['origin_name', (flight) => flight.origin.name],
+  ['origin_country', (flight) => flight.origin.country],
+  ['destination_iata', (flight) => flight.destination.iata],
+  ['destination_name', (flight) => flight.destination.name],
+  ['destination_country', (flight) => flight.destination.country],
+  ['departure_scheduled_local', (flight) => flight.departure.scheduled?.local],
+  ['arrival_scheduled_local', (flight) => flight.arrival.scheduled?.local],
+  // Times at the queried airport: arrival for arrivals, departure for departures
+  ['scheduled_local', (flight) => here(flight).scheduled?.local],
+  ['scheduled_utc', (flight) => here(flight).scheduled?.utc],
+  ['actual_local', (flight) => (here(flight).actual || here(flight).estimated)?.local],
+  ['actual_utc', (flight) => (here(flight).actual || here(flight).estimated)?.utc],
+  ['actual_is_estimate', (flight) => !here(flight).actual && Boolean(here(flight).estimated)],
+  ['delay_minutes', (flight) => here(flight).delayMinutes],
+  ['status', (flight) => flight.status.text],
+  ['status_category', (flight) => flight.status.category],
+  ['aircraft', (flight) => flight.aircraft.model || flight.aircraft.code],
+  ['registration', (flight) => flight.aircraft.registration],
+  ['terminal', (flight) => flightNormalizer.airportHere(flight).terminal],
+  ['gate', (flight) => flightNormalizer.airportHere(flight).gate]
+];
+
+const PUNCTUALITY_METRICS = ['onTimePercentage', 'averageDelayMinutes', 'medianDelayMinutes', 'delayed', 'canceled', 'diverted'];
+
+const here = (flight) => flightNormalizer.timesHere(flight);
+
+/**
+ * Downloads of query results: the canonical flights behind an answer as CSV,
+ * the aggregates of a processed schedule as CSV, and selected flights as an
+ * iCalendar file with one event per flight.
+ */
+class FlightExport {
+  constructor() {
+    this.flightFormats = ['csv', 'json'];
+  }
+
+  /**
+   * Flights as CSV, one row per flight
+   * @param {Array<Object>} flights - Canonical flights
+   * @returns {string} CSV with a header row
+   */
+  flightsCsv(flights) {
+    return this._csv([
+      FLIGHT_COLUMNS.map(([name]) => name),
+      ...flights.map(flight => FLIGHT_COLUMNS.map(([, value]) => value(flight)))
+    ]);
+  }
+
+  /**
+   * Counts of a processed schedule: totals, distinct and per-group counts, punctuality
+   * @param {Object} flightData - processFlightData result
+   * @returns {Array<Object>} { metric, direction, key, value } - metrics named as in answer citations
+   */
+  aggregates(flightData) {
+    const rows = [];
+    const add = (metric, direction, key, value) => rows.push({ metric, direction, key, value });
+    const bySize = (groups) => Object.entries(groups).sort(([a, x], [b, y]) => y.length - x.length || a.localeCompare(b));
+
+    ['arrivals', 'departures'].forEach(direction => {
+      const data = flightData[direction];
+      const airlines = new Map();
+      data.flights.forEach(flight => {
+        const { airline } = flightNormalizer.labels(flight);
+        airlines.set(airline, (airlines.get(airline) || 0) + 1);
+      });
+
+      add('flights', direction, null, data.total);
+      add('countries', direction, null, Object.keys(data.byCountry).length);
+      add('cities', direction, null, Object.keys(data.byCity).length);
+      add('airlines', direction, null, airlines.size);
+      bySize(data.byCountry).forEach(([country, flights]) => add('country', direction, country, flights.length));
+      bySize(data.byCity).forEach(([city, flights]) => add('city', direction, city, flights.length));
+      Array.from(airlines)
+        .sort(([a, x], [b, y]) => y - x || a.localeCompare(b))
+        .forEach(([airline, count]) => add('airline', direction, airline, count));
+    });
+
+    [['arrivals', 'arrivals'], ['departures', 'departures'], ['both', 'overall']].forEach(([direction, key]) => {
+      const stats = flightData.punctuality[key];
+      PUNCTUALITY_METRICS.forEach(metric => add(metric, direction, null, stats[metric] ?? null));
+    });
+
+    return rows;
+  }
+
+  /**
+   * aggregates() as CSV
+   * @param {Object} flightData - processFlightData result
+   * @returns {string} CSV with metric, direction, key, value columns
+   */
+  aggregatesCsv(flightData) {
+    return this._csv([
+      ['metric', 'direction', 'key', 'value'],
+      ...this.aggregates(flightData).map(({ metric, direction, key, value }) => [metric, direction, key, value])
+    ]);
+  }
+
+  /**
+   * Flights as an iCalendar file: one event per flight from scheduled departure
+   * to scheduled arrival. Times are in UTC: FlightAPI only gives a fixed offset per
+   * airport, not the DST rules a VTIMEZONE needs, and calendars show UTC in local time anyway
+   * @param {Array<Object>} flights - Canonical flights
+   * @param {Object} options - { name } calendar name
+   * @returns {string} iCalendar text
+   */
+  calendar(flights, { name = 'Flights' } = {}) {
+    const events = flights.filter(flight => flight.departure.scheduled || flight.arrival.scheduled);
+
+    const stamp = this._utcStamp(new Date().toISOString());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${CALENDAR_PRODUCT}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this._icsText(name)}`,
+      ...events.flatMap(flight => this._vevent(flight, stamp)),
+      'END:VCALENDAR'
+    ];
+
+    return lines.map(line => this._fold(line)).join(ICS_LINE_BREAK) + ICS_LINE_BREAK;
+  }
+
+  /**
+   * Download file name, e.g. LHR-today-flights.csv
+   * @param {string} airport - IATA code
+   * @param {string} dayLabel - Day label of the schedule
+   * @param {string} name - What is exported
+   * @param {string} extension - File extension
+   * @returns {string} File name
+   */
+  filename(airport, dayLabel, name, extension) {
+    return `${airport}-${String(dayLabel).toLowerCase()}-${name}.${extension}`;
+  }
+
+  _csv(rows) {
+    return rows.map(row => row.map(value => this._csvValue(value)).join(',')).join(CSV_LINE_BREAK) + CSV_LINE_BREAK;
+  }
+
+  _csvValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    let text = String(value);
+    // Spreadsheets run cells starting with these as formulas
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  _vevent(flight, stamp) {
+    const start = this._utcStamp((flight.departure.scheduled || flight.arrival.scheduled).utc);
+    const end = flight.arrival.scheduled ? this._utcStamp(flight.arrival.scheduled.utc) : start;
+    const place = (airport) => airport.iata || airport.name || 'Unknown';
+    const number = flight.flightNumber || flight.callsign || 'Flight';
+
+    const description = [
+      `${flight.airline.name || flight.airline.iata || 'Unknown airline'} ${number}`,
+      `From: ${flight.origin.name || place(flight.origin)}${flight.origin.terminal ? `, terminal ${flight.origin.terminal}` : ''}`,
+      `To: ${flight.destination.name || place(flight.destination)}${flight.destination.terminal ? `, terminal ${flight.destination.terminal}` : ''}`,
+      `Status: ${flight.status.text}`,
+      flight.aircraft.model ? `Aircraft: ${flight.aircraft.model}` : null
+    ].filter(Boolean).join('\n');
+
+    return [
+      'BEGIN:VEVENT',
+      `UID:${flight.id}@flight-assistant`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${start}`,
+      `DTEND:${end}`,
+      `SUMMARY:${this._icsText(`${number} ${place(flight.origin)} → ${place(flight.destination)}`)}`,
+      `LOCATION:${this._icsText(flight.origin.name || place(flight.origin))}`,
+      `DESCRIPTION:${this._icsText(description)}`,
+      `STATUS:${flight.status.category === 'canceled' ? 'CANCELLED' : 'CONFIRMED'}`,
+      'TRANSP:OPAQUE',
+      'END:VEVENT'
+    ];
+  }
+
+  _utcStamp(iso) {
+    return `${iso.slice(0, 19).replace(/[-:]/g, '')}Z`;
+  }
+
+  _icsText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  _fold(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+      const size = Buffer.byteLength(char);
+      // Continuation lines start with a space, which counts towards the limit
+      const limit = parts.length === 0 ? ICS_LINE_OCTETS : ICS_LINE_OCTETS - 1;
+      if (octets + size > limit) {
+        parts.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += char;
+      octets += size;
+    }
+    parts.push(current);
+
+    return parts.join(`${ICS_LINE_BREAK} `);
+  }
+}
+
+export default new FlightExport();
@@ -0,0 +1,69 @@
+// IATA (2 chars, may contain a digit) or ICAO (3 letters) designator, number, optional suffix
+const FLIGHT_NUMBER_PATTERN = /^([A-Z]{3}|[A-Z0-9]{2})0*(\d{1,4})([A-Z]?)$/;
+
+/**
+ * Finds a specific flight among an airport schedule's canonical flights by flight
+ * number or callsign. "EK5", "ek 005", "UAE5" and "EK0005" all find the same
+ * flight: leading zeros are dropped and ICAO designators are matched through
+ * the airline codes FlightAPI returns with each flight.
+ */
+class FlightLookup {
+  /**
+   * Normalise a flight number or callsign
+   * @param {string} input - e.g. "EK5", "ba 117", "BAW117", "U2-1234"
+   * @returns {Object|null} { designator, number, suffix, normalized } or null when not a flight number
+   */
+  normalizeFlightNumber(input) {
+    const cleaned = String(input || '').toUpperCase().replace(/[\s-]/g, '');
+    const match = cleaned.match(FLIGHT_NUMBER_PATTERN);
+
+    if (!match) {
+      return null;
+    }
+
+    const [, designator, number, suffix] = match;
+    return { designator, number, suffix, normalized: `${designator}${number}${suffix}` };
+  }
+
+  /**
+   * Find flights matching a flight number among a schedule's flights
+   * @param {Array<Object>} flights - Canonical flights of a schedule (flightNormalizer)
+   * @param {string} flightNumber - Flight number or callsign
+   * @returns {Array<Object>} Matching flights, in schedule order
+   */
+  find(flights, flightNumber) {
+    const query = this.normalizeFlightNumber(flightNumber);
+    if (!query) {
+      return [];
+    }
+
+    return (flights || []).filter(flight => this._keys(flight).has(query.normalized));
+  }
+
+  /**
+   * Every normalised number a flight can be looked up by
+   */
+  _keys(flight) {
+    const keys = new Set();
+    const add = (value) => {
+      const normalized = this.normalizeFlightNumber(value);
+      if (normalized) {
+        keys.add(normalized.normalized);
+      }
+    };
+
+    [flight.flightNumber, flight.callsign, ...flight.codeshares].forEach(add);
+
+    // Same flight number with the airline's other designator (EK5 <-> UAE5)
+    const own = this.normalizeFlightNumber(flight.flightNumber);
+    if (own) {
+      [flight.airline.iata, flight.airline.icao]
+        .filter(Boolean)
+        .forEach(designator => add(`${designator}${own.number}${own.suffix}`));
+    }
+
+    return keys;
+  }
+}
+
+export default new FlightLookup();
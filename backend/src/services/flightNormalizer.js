@@ -0,0 +1,303 @@
+import airportRegistry from './airportRegistry.js';
+
+const DIRECTIONS = ['arrivals', 'departures'];
+
+/**
+ * @typedef {Object} FlightTime
+ * @property {number} timestamp - Epoch seconds
+ * @property {string} utc - ISO time in UTC, e.g. 2025-10-19T10:05:00.000Z
+ * @property {string} local - ISO time at the event's airport with its offset, e.g. 2025-10-19T14:05+04:00
+ */
+
+/**
+ * @typedef {Object} FlightEvent
+ * @property {FlightTime|null} scheduled
+ * @property {FlightTime|null} estimated
+ * @property {FlightTime|null} actual
+ * @property {number|null} delayMinutes - Actual (or estimated) minus scheduled
+ */
+
+/**
+ * @typedef {Object} FlightAirport
+ * @property {string|null} iata
+ * @property {string|null} icao
+ * @property {string|null} name
+ * @property {string|null} city
+ * @property {string|null} country
+ * @property {string|null} countryCode
+ * @property {Object|null} timezone - { name, abbr, offsetMinutes }
+ * @property {string|null} terminal
+ * @property {string|null} gate
+ * @property {string|null} baggage
+ */
+
+/**
+ * @typedef {Object} Flight
+ * @property {string} id - direction, flight number and scheduled time at this airport
+ * @property {string} direction - arrivals or departures, seen from the queried airport
+ * @property {string|null} flightNumber
+ * @property {string|null} callsign
+ * @property {Array<string>} codeshares
+ * @property {Object} airline - { name, iata, icao }
+ * @property {Object} aircraft - { model, code, registration }
+ * @property {Object} status - { text, category, generic, live }
+ * @property {FlightAirport} origin
+ * @property {FlightAirport} destination
+ * @property {FlightEvent} departure - Times in the origin's local time
+ * @property {FlightEvent} arrival - Times in the destination's local time
+ */
+
+/**
+ * Turns FlightAPI schedule rows into the canonical Flight model every consumer
+ * works with (aggregates, analytics, prompt rows, lookups, the frontend).
+ * Times are ISO strings in UTC and in the local time of the airport where the
+ * event happens; the queried airport, which FlightAPI leaves out of its own
+ * schedule rows, is filled in from the registry and the schedule details.
+ */
+class FlightNormalizer {
+  /**
+   * Canonical flights of a schedule, both directions, ordered by scheduled time at the airport
+   * @param {string} airport - IATA code of the schedule's airport
+   * @param {Object} rawResult - FlightAPI responses per direction
+   * @returns {Array<Flight>} Flights
+   */
+  normalizeSchedule(airport, rawResult) {
+    const thisAirport = this._thisAirport(airport, rawResult);
+
+    return DIRECTIONS
+      .flatMap(direction => (rawResult?.[direction]?.airport?.pluginData?.schedule?.[direction]?.data || [])
+        .filter(entry => entry.flight)
+        .map(({ flight }) => this.normalize(flight, direction, thisAirport)))
+      .sort((a, b) => (this.timesHere(a).scheduled?.timestamp || 0) - (this.timesHere(b).scheduled?.timestamp || 0));
+  }
+
+  /**
+   * Canonical Flight of one FlightAPI schedule row
+   * @param {Object} flight - FlightAPI flight object
+   * @param {string} direction - arrivals or departures
+   * @param {Object} thisAirport - Queried airport (see normalizeSchedule)
+   * @returns {Flight} Flight
+   */
+  normalize(flight, direction, thisAirport) {
+    const identification = flight.identification || {};
+    const flightNumber = identification.number?.default || identification.callsign || null;
+    const origin = direction === 'arrivals'
+      ? this._airport(flight.airport?.origin)
+      : { ...thisAirport, ...this._gateInfo(flight.airport?.origin) };
+    const destination = direction === 'departures'
+      ? this._airport(flight.airport?.destination)
+      : { ...thisAirport, ...this._gateInfo(flight.airport?.destination) };
+    const departure = this._event(flight.time, 'departure', origin.timezone);
+    const arrival = this._event(flight.time, 'arrival', destination.timezone);
+    const status = flight.status?.text || 'Unknown';
+
+    return {
+      id: `${direction}-${flightNumber || 'unknown'}-${(direction === 'arrivals' ? arrival : departure).scheduled?.timestamp || ''}`,
+      direction,
+      flightNumber,
+      callsign: identification.callsign || null,
+      codeshares: this._codeshares(identification).filter(number => number !== flightNumber),
+      airline: {
+        name: flight.airline?.name || null,
+        iata: flight.airline?.code?.iata || null,
+        icao: flight.airline?.code?.icao || null
+      },
+      aircraft: {
+        model: flight.aircraft?.model?.text || null,
+        code: flight.aircraft?.model?.code || null,
+        registration: flight.aircraft?.registration || null
+      },
+      status: {
+        text: status,
+        category: this.statusCategory(status),
+        generic: flight.status?.generic?.status?.text || null,
+        live: Boolean(flight.status?.live)
+      },
+      origin,
+      destination,
+      departure,
+      arrival
+    };
+  }
+
+  /**
+   * Timezone of the queried airport from the schedule details, or from the registry when FlightAPI has none
+   * @param {Object} rawResult - FlightAPI responses per direction
+   * @param {string} airport - IATA code of the schedule's airport
+   * @returns {Object} { name, abbr, offsetMinutes, label } - UTC when neither knows it
+   */
+  airportTimezone(rawResult, airport) {
+    const details = (rawResult?.arrivals || rawResult?.departures)?.airport?.pluginData?.details;
+    const timezone = this._timezone(details?.timezone) || airportRegistry.timezone(airport);
+
+    if (!timezone) {
+      return { name: null, abbr: null, offsetMinutes: 0, label: 'UTC' };
+    }
+
+    const hours = timezone.offsetMinutes / 60;
+    return {
+      ...timezone,
+      label: timezone.abbr || timezone.name || `UTC${hours >= 0 ? '+' : ''}${hours}`
+    };
+  }
+
+  /**
+   * Times at the queried airport: arrival for arrivals, departure for departures
+   * @param {Flight} flight - Canonical flight
+   * @returns {FlightEvent} Event times
+   */
+  timesHere(flight) {
+    return flight.direction === 'arrivals' ? flight.arrival : flight.departure;
+  }
+
+  /**
+   * The other end of the flight: origin for arrivals, destination for departures
+   * @param {Flight} flight - Canonical flight
+   * @returns {FlightAirport} Airport
+   */
+  otherAirport(flight) {
+    return flight.direction === 'arrivals' ? flight.origin : flight.destination;
+  }
+
+  /**
+   * The queried airport's side of the flight: destination for arrivals, origin for departures
+   * @param {Flight} flight - Canonical flight
+   * @returns {FlightAirport} Airport with the terminal and gate used here
+   */
+  airportHere(flight) {
+    return flight.direction === 'arrivals' ? flight.destination : flight.origin;
+  }
+
+  /**
+   * Names flights are grouped and matched by, with the same fallbacks everywhere
+   * @param {Flight} flight - Canonical flight
+   * @returns {Object} { airline, city, country }
+   */
+  labels(flight) {
+    const other = this.otherAirport(flight);
+    return {
+      airline: flight.airline.name || flight.airline.iata || 'Unknown Airline',
+      city: other.name || other.iata || 'Unknown City',
+      country: other.country || other.countryCode || 'Unknown Country'
+    };
+  }
+
+  /**
+   * Minutes after local midnight of a flight time
+   * @param {FlightTime|null} time - Flight time
+   * @returns {number|null} Minutes, null without a time
+   */
+  localMinutes(time) {
+    if (!time) {
+      return null;
+    }
+    return Number(time.local.slice(11, 13)) * 60 + Number(time.local.slice(14, 16));
+  }
+
+  /**
+   * Status category of a status text: its first word ("Landed 10:15" -> landed)
+   * @param {string} text - FlightAPI status text
+   * @returns {string} e.g. scheduled, estimated, delayed, landed, departed, canceled, diverted, unknown
+   */
+  statusCategory(text) {
+    const word = String(text || '').trim().split(/\s+/)[0].toLowerCase();
+    return word ? word.replace('cancelled', 'canceled') : 'unknown';
+  }
+
+  _codeshares(identification) {
+    const codeshare = Array.isArray(identification.codeshare)
+      ? identification.codeshare
+      : [identification.codeshare].filter(Boolean);
+
+    const numbers = [identification.number?.alternative, ...codeshare]
+      .map(value => typeof value === 'string' ? value : value?.number?.default || value?.number)
+      .filter(value => typeof value === 'string' && value.trim());
+
+    return Array.from(new Set(numbers));
+  }
+
+  _airport(side) {
+    return {
+      iata: side?.code?.iata || null,
+      icao: side?.code?.icao || null,
+      name: side?.name || null,
+      city: side?.position?.region?.city || null,
+      country: side?.position?.country?.name || null,
+      countryCode: side?.position?.country?.code || null,
+      timezone: this._timezone(side?.timezone) || airportRegistry.timezone(side?.code?.iata),
+      ...this._gateInfo(side)
+    };
+  }
+
+  _gateInfo(side) {
+    return {
+      terminal: side?.info?.terminal || null,
+      gate: side?.info?.gate || null,
+      baggage: side?.info?.baggage || null
+    };
+  }
+
+  // FlightAPI leaves out the queried airport on its own side of the flight
+  _thisAirport(code, rawResult) {
+    const registered = airportRegistry.get(code);
+    const details = (rawResult?.arrivals || rawResult?.departures)?.airport?.pluginData?.details;
+
+    return {
+      iata: registered?.iata || code,
+      icao: registered?.icao || null,
+      name: registered?.name || details?.name || null,
+      city: registered?.city || details?.position?.region?.city || null,
+      country: registered?.country || details?.position?.country?.name || null,
+      countryCode: registered?.countryCode || details?.position?.country?.code || null,
+      timezone: this._timezone(details?.timezone) || airportRegistry.timezone(code)
+    };
+  }
+
+  _timezone(timezone) {
+    return typeof timezone?.offset === 'number'
+      ? { name: timezone.name || null, abbr: timezone.abbr || null, offsetMinutes: timezone.offset / 60 }
+      : null;
+  }
+
+  /**
+   * Scheduled, estimated and actual times of one event, with delay against schedule
+   */
+  _event(time, event, timezone) {
+    const scheduled = time?.scheduled?.[event] || null;
+    const estimated = time?.estimated?.[event] || null;
+    const actual = time?.real?.[event] || null;
+    const latest = actual || estimated;
+
+    return {
+      scheduled: this._time(scheduled, timezone),
+      estimated: this._time(estimated, timezone),
+      actual: this._time(actual, timezone),
+      delayMinutes: scheduled && latest ? Math.round((latest - scheduled) / 60) : null
+    };
+  }
+
+  /**
+   * Timestamp as UTC ISO string and local ISO string with offset, e.g. 2025-10-19T14:05+04:00.
+   * The offset is looked up per timestamp when the zone name is known, so DST switch days come
+   * out right; the fixed schedule offset is only used without one
+   */
+  _time(timestamp, timezone) {
+    if (!timestamp) {
+      return null;
+    }
+
+    const offset = airportRegistry.offsetAt(timezone?.name, timestamp * 1000) ?? timezone?.offsetMinutes ?? 0;
+    const local = new Date((timestamp + offset * 60) * 1000).toISOString().slice(0, 16);
+    const sign = offset >= 0 ? '+' : '-';
+    const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+    const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+
+    return {
+      timestamp,
+      utc: new Date(timestamp * 1000).toISOString(),
+      local: `${local}${sign}${hours}:${minutes}`
+    };
+  }
+}
+
+export default new FlightNormalizer();
@@ -0,0 +1,134 @@
+import flightNormalizer from './flightNormalizer.js';
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MODES = ['arrivals', 'departures', 'both'];
+
+// Times at the queried airport, real or estimated for "actual"
+const here = (flight) => flightNormalizer.timesHere(flight);
+
+// Sortable columns and the flight value each one sorts by
+const SORT_FIELDS = {
+  scheduled: (flight) => here(flight).scheduled?.timestamp,
+  actual: (flight) => (here(flight).actual || here(flight).estimated)?.timestamp,
+  delay: (flight) => here(flight).delayMinutes,
+  flight: (flight) => flight.flightNumber,
+  airline: (flight) => flight.airline.name,
+  origin: (flight) => flight.origin.iata || flight.origin.name,
+  destination: (flight) => flight.destination.iata || flight.destination.name,
+  status: (flight) => flight.status.category,
+  aircraft: (flight) => flight.aircraft.model
+};
+
+// Column text filters and the flight values each one searches
+const TEXT_FILTERS = {
+  flight: (flight) => [flight.flightNumber, flight.callsign, ...flight.codeshares],
+  airline: (flight) => [flight.airline.name, flight.airline.iata, flight.airline.icao],
+  origin: (flight) => [flight.origin.iata, flight.origin.name, flight.origin.city, flight.origin.country],
+  destination: (flight) => [flight.destination.iata, flight.destination.name, flight.destination.city, flight.destination.country],
+  aircraft: (flight) => [flight.aircraft.model, flight.aircraft.code, flight.aircraft.registration]
+};
+
+/**
+ * Canonical flights of an airport schedule for the flights table, filtered,
+ * sorted and paginated on the server so the browser never needs the raw
+ * FlightAPI response.
+ */
+class FlightTable {
+  constructor() {
+    this.modes = MODES;
+    this.sortFields = Object.keys(SORT_FIELDS);
+    this.textFilters = Object.keys(TEXT_FILTERS);
+  }
+
+  /**
+   * Flights of a schedule in one or both directions
+   * @param {Object} schedule - Schedule from getAirportSchedule
+   * @param {string} mode - arrivals, departures or both
+   * @returns {Array<Object>} Canonical flights ordered by scheduled time
+   */
+  flights(schedule, mode = 'both') {
+    return (schedule.flights || []).filter(flight => mode === 'both' || flight.direction === mode);
+  }
+
+  /**
+   * Filter, sort and paginate flights
+   * @param {Array<Object>} flights - flights() result
+   * @param {Object} options - Query options
+   * @param {string} options.query - Text searched in every text column
+   * @param {Object} options.filters - Column text filters { flight, airline, origin, destination, aircraft }
+   * @param {Array<string>} options.statuses - Status categories to keep, all when empty
+   * @param {string} options.sort - One of sortFields
+   * @param {string} options.order - asc or desc
+   * @param {number} options.page - 1-based page number
+   * @param {number} options.limit - Page size (max 100)
+   * @returns {Object} { flights, total, page, limit, totalPages, facets }
+   */
+  query(flights, { query = '', filters = {}, statuses = [], sort = 'scheduled', order = 'asc', page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const textMatches = flights.filter(flight =>
+      this._matchesText(flight, this.textFilters, query) &&
+      Object.entries(filters).every(([column, text]) => this._matchesText(flight, [column], text))
+    );
+
+    // Status counts ignore the status filter itself, so every facet stays selectable
+    const facets = { status: this._statusFacets(textMatches) };
+
+    const matches = statuses.length > 0
+      ? textMatches.filter(flight => statuses.includes(flight.status.category))
+      : textMatches;
+
+    const sorted = this._sort(matches, sort, order);
+
+    return {
+      flights: sorted.slice((pageNumber - 1) * pageSize, pageNumber * pageSize),
+      total: sorted.length,
+      page: pageNumber,
+      limit: pageSize,
+      totalPages: Math.ceil(sorted.length / pageSize),
+      facets
+    };
+  }
+
+  _matchesText(flight, columns, text) {
+    const needle = String(text || '').toLowerCase().trim();
+    if (!needle) {
+      return true;
+    }
+
+    return columns.some(column => TEXT_FILTERS[column](flight)
+      .some(value => value && String(value).toLowerCase().includes(needle)));
+  }
+
+  _statusFacets(flights) {
+    const counts = new Map();
+    flights.forEach(flight => counts.set(flight.status.category, (counts.get(flight.status.category) || 0) + 1));
+
+    return Array.from(counts, ([status, count]) => ({ status, count }))
+      .sort((a, b) => b.count - a.count || a.status.localeCompare(b.status));
+  }
+
+  // Flights without a value go last in either order
+  _sort(flights, sort, order) {
+    const value = SORT_FIELDS[sort] || SORT_FIELDS.scheduled;
+    const direction = order === 'desc' ? -1 : 1;
+
+    return [...flights].sort((a, b) => {
+      const left = value(a);
+      const right = value(b);
+
+      if (left === right) return 0;
+      if (left === null || left === undefined) return 1;
+      if (right === null || right === undefined) return -1;
+
+      const compared = typeof left === 'number' && typeof right === 'number'
+        ? left - right
+        : String(left).localeCompare(String(right));
+      return compared * direction;
+    });
+  }
+}
+
+export default new FlightTable();
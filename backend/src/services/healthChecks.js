@@ -0,0 +1,153 @@
+import dotenv from 'dotenv';
+import flightApiService from './flightApi.js';
+import llmService from './llmService.js';
+import airportRegistry from './airportRegistry.js';
+import upstreamFixtures from './upstreamFixtures.js';
+import upstreamResilience from './upstreamResilience.js';
+import logger from './logger.js';
+
+// Load environment variables
+dotenv.config();
+
+// Upstream probes run at most once per interval; readiness requests in between get the cached result
+const PROBE_INTERVAL_MS = (parseInt(process.env.HEALTH_PROBE_INTERVAL_SECONDS) || 60) * 1000;
+const PROBE_TIMEOUT_MS = parseInt(process.env.HEALTH_PROBE_TIMEOUT_MS) || 5000;
+
+// Environment variables each dependency can't work without
+const REQUIRED_CONFIG = {
+  flightApi: ['FLIGHT_API_KEY', 'FLIGHT_API_BASE_URL'],
+  openrouter: ['OPENROUTER_API_KEY', 'OPENROUTER_BASE_URL'],
+  'openai-compatible': ['LLM_BASE_URL'],
+  mock: []
+};
+
+const log = logger.child({ component: 'health' });
+
+/**
+ * Liveness and readiness reports. Readiness checks configuration first and
+ * only then probes the upstream, so a missing key never costs a request.
+ * Every dependency remembers its last error, also after it recovered.
+ */
+class HealthChecks {
+  constructor() {
+    this.dependencies = [
+      {
+        name: 'flightApi',
+        required: true,
+        config: () => REQUIRED_CONFIG.flightApi,
+        upstream: () => 'flightapi',
+        probe: () => flightApiService.probe({ timeout: PROBE_TIMEOUT_MS })
+      },
+      {
+        name: 'llm',
+        required: true,
+        config: () => REQUIRED_CONFIG[llmService.provider.name] || [],
+        upstream: () => llmService.provider.name,
+        probe: () => llmService.provider.probe({ timeout: PROBE_TIMEOUT_MS }),
+        details: () => ({ provider: llmService.provider.name })
+      },
+      {
+        name: 'airports',
+        required: true,
+        config: () => [],
+        probe: async () => {
+          if (airportRegistry.getQueryableCodes().length === 0) {
+            throw new Error('No queryable airports loaded');
+          }
+        }
+      }
+    ];
+    // Last result, in-flight probe and last error per dependency
+    this.state = new Map(this.dependencies.map(dependency => [dependency.name, {
+      result: null,
+      checkedAt: 0,
+      pending: null,
+      lastError: null
+    }]));
+  }
+
+  /**
+   * Liveness: the process is up and serving requests. Never touches dependencies
+   * @returns {Object} Liveness report
+   */
+  liveness() {
+    return {
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      environment: process.env.NODE_ENV || 'development'
+    };
+  }
+
+  /**
+   * Readiness: every required dependency is configured and reachable. Upstream dependencies
+   * also report their circuit breaker as it is now, not as of the cached probe
+   * @returns {Promise<Object>} { ready, status, timestamp, dependencies: { [name]: { required, status, latencyMs, checkedAt, cached, lastError, circuit? } } }
+   */
+  async readiness() {
+    const results = await Promise.all(this.dependencies.map(dependency => this._check(dependency)));
+    const ready = results.every((result, index) => !this.dependencies[index].required || result.status === 'up');
+
+    return {
+      ready,
+      status: ready ? 'ready' : 'not-ready',
+      timestamp: new Date().toISOString(),
+      upstreamMode: upstreamFixtures.mode,
+      dependencies: Object.fromEntries(results.map((result, index) => {
+        const dependency = this.dependencies[index];
+        return [dependency.name, dependency.upstream
+          ? { ...result, circuit: upstreamResilience.breaker(dependency.upstream()).status() }
+          : result];
+      }))
+    };
+  }
+
+  async _check(dependency) {
+    const state = this.state.get(dependency.name);
+
+    if (!state.result || Date.now() - state.checkedAt >= PROBE_INTERVAL_MS) {
+      // Concurrent readiness requests share one probe
+      state.pending = state.pending || this._probe(dependency).finally(() => {
+        state.pending = null;
+      });
+      await state.pending;
+      return { ...state.result, cached: false, lastError: state.lastError };
+    }
+
+    return { ...state.result, cached: true, lastError: state.lastError };
+  }
+
+  async _probe(dependency) {
+    const state = this.state.get(dependency.name);
+    const missing = dependency.config().filter(name => !process.env[name]);
+    const startTime = Date.now();
+    let error = null;
+
+    if (missing.length > 0) {
+      error = new Error(`Missing configuration: ${missing.join(', ')}`);
+    } else if (upstreamFixtures.mode !== 'replay' || dependency.name === 'airports') {
+      // Replayed upstreams are served from fixtures, there is nothing to reach
+      try {
+        await dependency.probe();
+      } catch (probeError) {
+        error = probeError;
+      }
+    }
+
+    state.checkedAt = Date.now();
+    state.result = {
+      required: dependency.required,
+      status: error ? 'down' : 'up',
+      latencyMs: state.checkedAt - startTime,
+      checkedAt: new Date(state.checkedAt).toISOString(),
+      ...dependency.details?.()
+    };
+
+    if (error) {
+      state.lastError = { message: error.message, at: state.result.checkedAt };
+      log.warn('Dependency check failed', { dependency: dependency.name, error });
+    }
+  }
+}
+
+export default new HealthChecks();
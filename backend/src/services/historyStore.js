@@ -0,0 +1,244 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import logger from './logger.js';
+
+// Load environment variables
+dotenv.config();
+
+const DEFAULT_HISTORY_DIR = fileURLToPath(new URL('../../.data/history', import.meta.url));
+// Oldest unstarred entries are dropped beyond this many
+const MAX_HISTORY_ENTRIES = parseInt(process.env.MAX_HISTORY_ENTRIES) || 500;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const ANSWER_PREVIEW_LENGTH = 160;
+
+const log = logger.child({ component: 'history' });
+
+/**
+ * Answered questions kept across restarts, one JSON file per entry. Each entry
+ * is the response body of the query (without the raw FlightAPI payload) plus
+ * the day it was asked for, so it can be shown again, starred or re-run
+ * against fresh data.
+ */
+class HistoryStore {
+  constructor() {
+    this.enabled = process.env.HISTORY_ENABLED !== 'false';
+    this.directory = process.env.HISTORY_DIR || DEFAULT_HISTORY_DIR;
+    this.entries = new Map();
+    this.loadPromise = null;
+  }
+
+  /**
+   * Store an answered query
+   * @param {Object} body - Query response body
+   * @param {Object} options - { dayParam, conversationId, rerunOf }
+   * @returns {Promise<Object|null>} Stored entry, null when history is disabled
+   */
+  async add(body, { dayParam = 1, conversationId = null, rerunOf = null } = {}) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    await this._ensureLoaded();
+
+    // The raw FlightAPI payload is large and re-fetched on re-run anyway
+    const { rawResult, ...data } = body.data || {};
+
+    const entry = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      starred: false,
+      dayParam: body.data?.dayParam ?? dayParam,
+      dayLabel: body.data?.dayLabel || null,
+      mode: body.analysis?.mode || null,
+      conversationId,
+      rerunOf,
+      success: body.success,
+      airport: body.airport || null,
+      airports: body.airports || null,
+      airportName: body.airportName || null,
+      question: body.question,
+      answer: body.answer,
+      citations: body.citations ?? null,
+      analysis: body.analysis,
+      data: body.data ? data : undefined,
+      metadata: body.metadata
+    };
+
+    this.entries.set(entry.id, entry);
+    await this._writeEntry(entry);
+    await this._evictOldest();
+
+    return entry;
+  }
+
+  /**
+   * Search history, newest first
+   * @param {Object} options - { query, airport, starred, page, limit }
+   * @returns {Promise<Object>} { entries, total, page, limit, totalPages } - entries are summaries
+   */
+  async list({ query = '', airport = '', starred = false, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+    await this._ensureLoaded();
+
+    const text = query.toLowerCase().trim();
+    const code = airport.toUpperCase().trim();
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const matches = Array.from(this.entries.values())
+      .filter(entry => !starred || entry.starred)
+      .filter(entry => !code || this._airportCodes(entry).includes(code))
+      .filter(entry => !text || entry.question.toLowerCase().includes(text))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(entry => this.toSummary(entry));
+
+    return {
+      entries: matches.slice((pageNumber - 1) * pageSize, pageNumber * pageSize),
+      total: matches.length,
+      page: pageNumber,
+      limit: pageSize,
+      totalPages: Math.ceil(matches.length / pageSize)
+    };
+  }
+
+  /**
+   * Get a stored entry
+   * @param {string} id - Entry id
+   * @returns {Promise<Object|null>} Entry or null if unknown
+   */
+  async get(id) {
+    await this._ensureLoaded();
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * Star or unstar an entry. Starred entries are never evicted
+   * @param {string} id - Entry id
+   * @param {boolean} starred - New state
+   * @returns {Promise<Object|null>} Updated entry or null if unknown
+   */
+  async setStarred(id, starred) {
+    const entry = await this.get(id);
+    if (!entry) {
+      return null;
+    }
+
+    entry.starred = starred;
+    await this._writeEntry(entry);
+    return entry;
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} id - Entry id
+   * @returns {Promise<boolean>} Whether the entry existed
+   */
+  async remove(id) {
+    await this._ensureLoaded();
+
+    if (!this.entries.delete(id)) {
+      return false;
+    }
+
+    await this._removeEntry(id);
+    return true;
+  }
+
+  /**
+   * List view of an entry, without answer data
+   * @param {Object} entry - Entry
+   * @returns {Object} Summary
+   */
+  toSummary(entry) {
+    return {
+      id: entry.id,
+      createdAt: entry.createdAt,
+      starred: entry.starred,
+      airports: this._airportCodes(entry),
+      dayParam: entry.dayParam,
+      dayLabel: entry.dayLabel,
+      mode: entry.mode,
+      question: entry.question,
+      answerPreview: (entry.answer || '').slice(0, ANSWER_PREVIEW_LENGTH),
+      answerSource: entry.metadata?.answerSource || null,
+      conversationId: entry.conversationId,
+      rerunOf: entry.rerunOf
+    };
+  }
+
+  // Comparisons store [{ airport, airportName }] entries, or plain codes when the answer was refused
+  _airportCodes(entry) {
+    return entry.airports
+      ? entry.airports.map(airport => airport.airport || airport)
+      : [entry.airport].filter(Boolean);
+  }
+
+  async _evictOldest() {
+    const unstarred = Array.from(this.entries.values())
+      .filter(entry => !entry.starred)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    const excess = this.entries.size - MAX_HISTORY_ENTRIES;
+    for (const entry of unstarred.slice(0, Math.max(excess, 0))) {
+      this.entries.delete(entry.id);
+      await this._removeEntry(entry.id);
+    }
+  }
+
+  _ensureLoaded() {
+    if (!this.loadPromise) {
+      this.loadPromise = this._loadFromDisk();
+    }
+    return this.loadPromise;
+  }
+
+  async _loadFromDisk() {
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+
+      for (const file of files) {
+        try {
+          const entry = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+          if (entry.id) {
+            this.entries.set(entry.id, entry);
+          }
+        } catch (error) {
+          log.warn('Skipping unreadable history file', { file, error });
+        }
+      }
+
+      log.info('History loaded from disk', { entries: this.entries.size, directory: this.directory });
+    } catch (error) {
+      log.warn('Could not load query history from disk', { error });
+    }
+  }
+
+  async _writeEntry(entry) {
+    const filePath = path.join(this.directory, `${entry.id}.json`);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(entry));
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      log.warn('Could not persist history entry', { id: entry.id, error });
+    }
+  }
+
+  async _removeEntry(id) {
+    try {
+      await fs.unlink(path.join(this.directory, `${id}.json`));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn('Could not remove history entry', { id, error });
+      }
+    }
+  }
+}
+
+export default new HistoryStore();
@@ -0,0 +1,173 @@
+/**
+ * Lightweight question language detection. Non-latin scripts are recognised by
+ * their Unicode script, latin-script languages by common question/aviation words
+ * and diacritics. Good enough to pick the answer language, not a general detector.
+ */
+
+const LANGUAGE_NAMES = {
+	en: 'English',
+	ru: 'Russian',
+	uk: 'Ukrainian',
+	de: 'German',
+	fr: 'French',
+	es: 'Spanish',
+	it: 'Italian',
+	pt: 'Portuguese',
+	nl: 'Dutch',
+	tr: 'Turkish',
+	pl: 'Polish',
+	ar: 'Arabic',
+	he: 'Hebrew',
+	el: 'Greek',
+	hi: 'Hindi',
+	th: 'Thai',
+	zh: 'Chinese',
+	ja: 'Japanese',
+	ko: 'Korean'
+};
+
+const SCRIPTS = [
+	['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/gu],
+	['ko', /\p{Script=Hangul}/gu],
+	['zh', /\p{Script=Han}/gu],
+	['ar', /\p{Script=Arabic}/gu],
+	['he', /\p{Script=Hebrew}/gu],
+	['el', /\p{Script=Greek}/gu],
+	['hi', /\p{Script=Devanagari}/gu],
+	['th', /\p{Script=Thai}/gu],
+	['ru', /\p{Script=Cyrillic}/gu]
+];
+
+// Frequent words in flight questions, used to tell latin-script languages apart
+const LATIN_WORDS = {
+	en: ['the', 'how', 'many', 'what', 'which', 'from', 'to', 'flights', 'flight', 'are', 'is', 'of', 'did', 'does', 'were', 'was', 'where', 'when', 'who', 'why', 'airport', 'airlines', 'today', 'arrived', 'there'],
+	de: ['wie', 'viele', 'welche', 'flüge', 'flug', 'aus', 'nach', 'der', 'die', 'das', 'und', 'ist', 'sind', 'von', 'wann', 'wo', 'was', 'heute', 'flughafen', 'gibt', 'es'],
+	fr: ['combien', 'quels', 'quelles', 'quel', 'vols', 'vol', 'des', 'du', 'le', 'la', 'les', 'est', 'sont', 'quand', 'où', 'aéroport', 'depuis', 'vers', 'aujourd', 'hui', 'arrivés', 'il', 'y'],
+	es: ['cuántos', 'cuantos', 'qué', 'cuáles', 'cuales', 'vuelos', 'vuelo', 'del', 'el', 'los', 'las', 'desde', 'hacia', 'son', 'dónde', 'cuándo', 'aeropuerto', 'llegaron', 'hoy', 'hay'],
+	it: ['quanti', 'quali', 'voli', 'volo', 'dal', 'dalla', 'il', 'gli', 'sono', 'è', 'dove', 'quando', 'aeroporto', 'arrivati', 'oggi', 'ci'],
+	pt: ['quantos', 'quais', 'voos', 'voo', 'do', 'da', 'dos', 'das', 'os', 'são', 'é', 'onde', 'quando', 'aeroporto', 'chegaram', 'para', 'hoje', 'há'],
+	nl: ['hoeveel', 'welke', 'vluchten', 'vlucht', 'uit', 'naar', 'het', 'van', 'zijn', 'waar', 'wanneer', 'luchthaven', 'vandaag', 'er'],
+	tr: ['kaç', 'hangi', 'uçuş', 'uçuşlar', 'uçuşu', 'nereden', 'nereye', 'ne', 'mi', 'mı', 'havalimanı', 'havalimanına', 'bugün', 'var'],
+	pl: ['ile', 'jakie', 'które', 'loty', 'lotów', 'lot', 'skąd', 'dokąd', 'lotnisko', 'lotnisku', 'dzisiaj', 'przyleciało', 'jest']
+};
+
+const DIACRITICS = {
+	de: /[ßäöü]/,
+	fr: /[çàèêëîïôûœ]/,
+	es: /[ñ¿¡áíóú]/,
+	pt: /[ãõâê]/,
+	tr: /[ıışğ]/,
+	pl: /[łąęśżźćń]/
+};
+
+// Question words per language for question validation (English keeps substring matching)
+const QUESTION_WORDS = {
+	en: ['how', 'what', 'where', 'when', 'why', 'which', 'who', 'many', 'much'],
+	ru: ['сколько', 'какие', 'какой', 'какая', 'каких', 'где', 'когда', 'почему', 'кто', 'что', 'откуда', 'куда', 'ли', 'чем'],
+	uk: ['скільки', 'які', 'який', 'яка', 'де', 'коли', 'чому', 'хто', 'що', 'звідки', 'куди', 'чи'],
+	de: ['wie', 'was', 'wo', 'wann', 'warum', 'welche', 'welcher', 'wer', 'viele', 'woher', 'wohin'],
+	fr: ['combien', 'quoi', 'où', 'quand', 'pourquoi', 'quel', 'quels', 'quelle', 'quelles', 'qui', 'comment'],
+	es: ['cuántos', 'cuantos', 'cuántas', 'qué', 'que', 'dónde', 'cuándo', 'por', 'cuál', 'cuáles', 'quién', 'cómo'],
+	it: ['quanti', 'quante', 'cosa', 'dove', 'quando', 'perché', 'quale', 'quali', 'chi', 'come'],
+	pt: ['quantos', 'quantas', 'que', 'onde', 'quando', 'porque', 'qual', 'quais', 'quem', 'como'],
+	nl: ['hoeveel', 'wat', 'waar', 'wanneer', 'waarom', 'welke', 'wie', 'hoe'],
+	tr: ['kaç', 'ne', 'nerede', 'nereden', 'nereye', 'ne zaman', 'neden', 'hangi', 'kim', 'nasıl', 'mi', 'mı', 'mu', 'mü'],
+	pl: ['ile', 'co', 'gdzie', 'kiedy', 'dlaczego', 'jaki', 'jakie', 'które', 'kto', 'jak', 'skąd', 'dokąd', 'czy']
+};
+
+// ? in latin, Arabic, CJK full-width and Spanish opening form
+const QUESTION_MARKS = /[?？؟¿]/;
+
+class LanguageService {
+	/**
+	 * Detect the language of a question
+	 * @param {string} text - Question text
+	 * @returns {Object} { code, name, confidence: 'high' | 'medium' | 'low' }
+	 */
+	detect(text) {
+		const normalized = (text || '').normalize('NFC').toLowerCase();
+		const letters = normalized.match(/\p{L}/gu) || [];
+
+		if (letters.length === 0) {
+			return this._result('en', 'low');
+		}
+
+		// Dominant non-latin script decides outright
+		const counts = Object.fromEntries(SCRIPTS.map(([code, pattern]) => [code, (normalized.match(pattern) || []).length]));
+		if (counts.ja > 0) {
+			// Japanese mixes kana with kanji
+			counts.ja += counts.zh;
+		}
+		const [scriptCode, scriptCount] = Object.entries(counts)
+			.reduce((best, candidate) => candidate[1] > best[1] ? candidate : best, ['', 0]);
+
+		if (scriptCount > 0 && scriptCount * 2 >= letters.length) {
+			if (scriptCode === 'ru' && /[іїєґ]/u.test(normalized)) {
+				return this._result('uk', 'high');
+			}
+			return this._result(scriptCode, 'high');
+		}
+
+		const words = normalized.match(/[\p{L}\p{M}]+/gu) || [];
+		const scores = Object.entries(LATIN_WORDS).map(([code, vocabulary]) => {
+			const wordScore = words.filter(word => vocabulary.includes(word)).length;
+			const diacriticScore = DIACRITICS[code]?.test(normalized) ? 1 : 0;
+			return { code, score: wordScore + diacriticScore };
+		}).sort((a, b) => b.score - a.score);
+
+		const [best, second] = scores;
+		if (best.score === 0) {
+			return this._result('en', 'low');
+		}
+
+		return this._result(best.code, best.score - second.score >= 2 ? 'high' : 'medium');
+	}
+
+	/**
+	 * Whether the text contains a question word of the given (or English) language
+	 * @param {string} text - Question text
+	 * @param {string} code - Language code from detect()
+	 * @returns {boolean|null} null when no word list exists for the language
+	 */
+	hasQuestionWord(text, code) {
+		const lower = text.toLowerCase();
+
+		// English: substring match as before ("how many" anywhere in the text)
+		if (QUESTION_WORDS.en.some(word => lower.includes(word))) {
+			return true;
+		}
+
+		if (!QUESTION_WORDS[code]) {
+			return null;
+		}
+
+		const words = lower.match(/[\p{L}\p{M}]+/gu) || [];
+		return QUESTION_WORDS[code].some(questionWord => questionWord.includes(' ')
+			? lower.includes(questionWord)
+			: words.includes(questionWord));
+	}
+
+	/**
+	 * Whether the text contains a question mark in any script
+	 * @param {string} text - Question text
+	 * @returns {boolean}
+	 */
+	hasQuestionMark(text) {
+		return QUESTION_MARKS.test(text);
+	}
+
+	/**
+	 * English name of a language code
+	 * @param {string} code - Language code
+	 * @returns {string} Language name
+	 */
+	getName(code) {
+		return LANGUAGE_NAMES[code] || code;
+	}
+
+	_result(code, confidence) {
+		return { code, name: this.getName(code), confidence };
+	}
+}
+
+export default new LanguageService();
@@ -0,0 +1,34 @@
+import { MockProvider } from './mockProvider.js';
+import { OpenAiCompatibleProvider } from './openAiCompatibleProvider.js';
+import { OpenRouterProvider } from './openRouterProvider.js';
+import logger from '../logger.js';
+
+export const PROVIDERS = ['openrouter', 'openai-compatible', 'mock'];
+
+/**
+ * Create the LLM provider selected by LLM_PROVIDER
+ * LLM_PROVIDER=openrouter        - OPENROUTER_BASE_URL / OPENROUTER_API_KEY (default)
+ * LLM_PROVIDER=openai-compatible - LLM_BASE_URL / LLM_API_KEY (e.g. http://localhost:11434/v1 for Ollama)
+ * LLM_PROVIDER=mock              - scripted answers, MOCK_LLM_SCRIPT points to an optional JSON script
+ * @param {string} name - Provider id
+ * @returns {Object} Provider with complete({ model, messages, params, onToken, signal }) and probe({ timeout })
+ */
+export const createProvider = (name) => {
+	switch (name) {
+		case 'openai-compatible':
+			return new OpenAiCompatibleProvider({
+				baseURL: process.env.LLM_BASE_URL,
+				apiKey: process.env.LLM_API_KEY
+			});
+		case 'mock':
+			return new MockProvider({ scriptPath: process.env.MOCK_LLM_SCRIPT });
+		case 'openrouter':
+			return new OpenRouterProvider({
+				baseURL: process.env.OPENROUTER_BASE_URL,
+				apiKey: process.env.OPENROUTER_API_KEY
+			});
+		default:
+			logger.warn('Unknown LLM_PROVIDER, falling back to openrouter', { provider: name });
+			return createProvider('openrouter');
+	}
+};
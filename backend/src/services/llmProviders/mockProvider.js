@@ -0,0 +1,94 @@
+import fs from 'fs';
+import logger from '../logger.js';
+
+const log = logger.child({ component: 'llmProvider' });
+
+// Used when no script is configured: classify everything as aviation-related, answer with a canned text
+const DEFAULT_SCRIPT = {
+	rules: [
+		{
+			match: 'FlightAPI\\.io integration specialist',
+			response: {
+				relevant: true,
+				mode: 'both',
+				reasoning: 'Mock provider classification',
+				confidence: 'medium'
+			}
+		}
+	],
+	default: 'This is a scripted answer from the mock LLM provider. Looking at the data, I can see the flight schedule was loaded successfully.'
+};
+
+/**
+ * Offline provider that answers from a script instead of a model.
+ * Script file (MOCK_LLM_SCRIPT) is JSON:
+ * { "rules": [{ "match": "<regex>", "response": "<text or JSON object>" }], "default": "<text>" }
+ * The first rule whose regex matches the last user message wins.
+ */
+export class MockProvider {
+	/**
+	 * @param {Object} options - Provider options
+	 * @param {string} options.scriptPath - Path to a JSON script, built-in script when empty
+	 */
+	constructor({ scriptPath } = {}) {
+		this.name = 'mock';
+		this.label = 'Mock LLM';
+		this.script = scriptPath ? this._loadScript(scriptPath) : DEFAULT_SCRIPT;
+	}
+
+	/**
+	 * Run a chat completion against the script
+	 * @param {Object} request - Completion request (same shape as OpenAiCompatibleProvider.complete)
+	 * @returns {Promise<Object>} { text, model, usage }
+	 */
+	async complete({ model, messages, onToken, signal }) {
+		const prompt = messages.filter(message => message.role === 'user').pop()?.content || '';
+		const rule = (this.script.rules || []).find(candidate => new RegExp(candidate.match, 'i').test(prompt));
+		const response = rule ? rule.response : this.script.default;
+		const text = typeof response === 'string' ? response : JSON.stringify(response);
+
+		if (onToken) {
+			// Stream word by word like a real model would
+			for (const fragment of text.match(/\S+\s*/g) || []) {
+				if (signal?.aborted) {
+					break;
+				}
+				onToken(fragment);
+			}
+		}
+
+		const promptTokens = this._estimateTokens(messages.map(message => message.content).join('\n'));
+		const completionTokens = this._estimateTokens(text);
+
+		return {
+			text,
+			model: rule?.model || model,
+			usage: {
+				promptTokens,
+				completionTokens,
+				totalTokens: promptTokens + completionTokens
+			}
+		};
+	}
+
+	/**
+	 * Nothing to reach, the mock provider is always available
+	 * @returns {Promise<void>}
+	 */
+	async probe() {}
+
+	_estimateTokens(text) {
+		return Math.ceil((text || '').length / 4);
+	}
+
+	_loadScript(scriptPath) {
+		try {
+			const script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+			log.info('Mock LLM script loaded', { scriptPath, rules: script.rules?.length || 0 });
+			return { ...DEFAULT_SCRIPT, ...script };
+		} catch (error) {
+			log.warn('Could not load mock LLM script, using built-in script', { scriptPath, error });
+			return DEFAULT_SCRIPT;
+		}
+	}
+}
@@ -0,0 +1,222 @@
+import axios from 'axios';
+import upstreamFixtures from '../upstreamFixtures.js';
+import logger from '../logger.js';
+import upstreamResilience from '../upstreamResilience.js';
+
+const log = logger.child({ component: 'llmProvider' });
+
+/**
+ * Chat completions over any OpenAI-compatible HTTP API
+ * (OpenAI, OpenRouter, a local llama.cpp server, Ollama, vLLM...)
+ */
+export class OpenAiCompatibleProvider {
+	/**
+	 * @param {Object} options - Provider options
+	 * @param {string} options.name - Provider id, also used as fixtures subdirectory
+	 * @param {string} options.label - Human readable provider name for error messages
+	 * @param {string} options.baseURL - API base URL (…/v1)
+	 * @param {string} options.apiKey - Bearer token, optional for local servers
+	 * @param {Object} options.headers - Extra request headers
+	 * @param {number} options.timeout - Request timeout in ms
+	 */
+	constructor({ name = 'openai-compatible', label = 'OpenAI-compatible API', baseURL, apiKey, headers = {}, timeout = 60000 }) {
+		this.name = name;
+		this.label = label;
+		this.client = axios.create({
+			baseURL,
+			timeout,
+			headers: {
+				'Content-Type': 'application/json',
+				...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+				...headers
+			}
+		});
+
+		// Record/replay fixtures keyed by endpoint and prompt hash
+		upstreamFixtures.attach(this.client, name, (config) =>
+			`${config.url.replace(/\W+/g, '_').replace(/^_|_$/g, '')}_${upstreamFixtures.hash(config.data)}`
+		);
+
+		// Request interceptor: correlation id for upstream and logging
+		this.client.interceptors.request.use(
+			(config) => {
+				const requestId = logger.requestId();
+				if (requestId) {
+					config.headers['X-Request-Id'] = requestId;
+				}
+				config.metadata = { startTime: Date.now() };
+				log.info('LLM request', { provider: this.name, method: config.method?.toUpperCase(), url: config.url });
+				return config;
+			},
+			(error) => {
+				log.error('LLM request error', { provider: this.name, error });
+				return Promise.reject(error);
+			}
+		);
+
+		// Response interceptor
+		this.client.interceptors.response.use(
+			(response) => {
+				log.info('LLM response', {
+					provider: this.name,
+					status: response.status,
+					durationMs: Date.now() - response.config.metadata?.startTime
+				});
+				return response;
+			},
+			(error) => {
+				log.error('LLM response error', {
+					provider: this.name,
+					status: error.response?.status,
+					message: error.response?.data?.error?.message || error.message,
+					url: error.config?.url
+				});
+				return Promise.reject(error);
+			}
+		);
+	}
+
+	/**
+	 * Run a chat completion
+	 * @param {Object} request - Completion request
+	 * @param {string} request.model - Model id
+	 * @param {Array<Object>} request.messages - Chat messages [{ role, content }]
+	 * @param {Object} request.params - Sampling parameters (max_tokens, temperature, ...)
+	 * @param {Function} request.onToken - Called with each answer fragment; enables streaming when set
+	 * @param {AbortSignal} request.signal - Aborts the upstream request
+	 * @returns {Promise<Object>} { text, model, usage: { promptTokens, completionTokens, totalTokens } | null }
+	 */
+	async complete({ model, messages, params = {}, onToken, signal }) {
+		const requestBody = { model, messages, ...params };
+
+		if (onToken) {
+			// Only opening the stream is retried; once tokens flow a failure goes to the caller
+			const response = await this._post({
+				...requestBody,
+				stream: true,
+				// Ask for token usage in the final stream chunk
+				stream_options: { include_usage: true }
+			}, {
+				responseType: 'stream',
+				signal
+			});
+
+			const result = await this._readCompletionStream(response.data, onToken);
+			return { ...result, model: result.model || model };
+		}
+
+		const response = await this._post(requestBody, { signal });
+		log.debug('LLM response body', { body: response.data });
+
+		return {
+			text: response.data.choices?.[0]?.message?.content || '',
+			model: response.data.model || model,
+			usage: this._normalizeUsage(response.data.usage)
+		};
+	}
+
+	/**
+	 * Cheap reachability and credentials check: lists models, which costs no tokens
+	 * @param {Object} options - { timeout } in ms
+	 * @returns {Promise<void>} Rejects when the API is unreachable, rejects the key or fails
+	 */
+	async probe({ timeout = 5000 } = {}) {
+		const response = await this.client.get('/models', { timeout, validateStatus: () => true });
+
+		if (response.status === 401 || response.status === 403) {
+			throw new Error(`${this.label} rejected the API key (HTTP ${response.status})`);
+		}
+		if (response.status >= 500) {
+			throw new Error(`${this.label} responded with HTTP ${response.status}`);
+		}
+	}
+
+	/**
+	 * POST a completion through this provider's circuit breaker. Completions change nothing
+	 * upstream, so transient failures are retried like idempotent calls
+	 * @param {Object} body - Request body
+	 * @param {Object} config - Axios request config
+	 * @returns {Promise<Object>} Axios response
+	 */
+	_post(body, config) {
+		return upstreamResilience.call(this.name, () => this.client.post('/chat/completions', body, config), {
+			label: this.label,
+			signal: config.signal
+		});
+	}
+
+	/**
+	 * Convert OpenAI usage block to camelCase token counts
+	 * @param {Object} usage - { prompt_tokens, completion_tokens, total_tokens }
+	 * @returns {Object|null} { promptTokens, completionTokens, totalTokens }
+	 */
+	_normalizeUsage(usage) {
+		if (!usage) {
+			return null;
+		}
+
+		const promptTokens = usage.prompt_tokens || 0;
+		const completionTokens = usage.completion_tokens || 0;
+
+		return {
+			promptTokens,
+			completionTokens,
+			totalTokens: usage.total_tokens || promptTokens + completionTokens
+		};
+	}
+
+	/**
+	 * Read an OpenAI-style server-sent events completion stream
+	 * @param {import('stream').Readable} stream - Response body stream
+	 * @param {Function} onToken - Called with each content delta
+	 * @returns {Promise<Object>} { text, model, usage }
+	 */
+	_readCompletionStream(stream, onToken) {
+		return new Promise((resolve, reject) => {
+			let buffer = '';
+			let text = '';
+			let model = null;
+			let usage = null;
+
+			stream.setEncoding('utf8');
+
+			stream.on('data', (chunk) => {
+				buffer += chunk;
+
+				let newlineIndex;
+				while ((newlineIndex = buffer.indexOf('\n')) >= 0) {
+					const line = buffer.slice(0, newlineIndex).trim();
+					buffer = buffer.slice(newlineIndex + 1);
+
+					// Skip keep-alive comments (": OPENROUTER PROCESSING") and the end marker
+					if (!line.startsWith('data:')) continue;
+					const payload = line.slice(5).trim();
+					if (payload === '[DONE]') continue;
+
+					try {
+						const event = JSON.parse(payload);
+						if (event.error) {
+							stream.destroy();
+							reject(new Error(event.error.message || 'LLM stream error'));
+							return;
+						}
+
+						model = event.model || model;
+						usage = this._normalizeUsage(event.usage) || usage;
+
+						const delta = event.choices?.[0]?.delta?.content;
+						if (delta) {
+							text += delta;
+							onToken(delta);
+						}
+					} catch (parseError) {
+						log.warn('Could not parse LLM stream event', { provider: this.name, payload: payload.substring(0, 100) });
+					}
+				}
+			});
+
+			stream.on('end', () => resolve({ text, model, usage }));
+			stream.on('error', reject);
+		});
+	}
+}
@@ -0,0 +1,24 @@
+import { OpenAiCompatibleProvider } from './openAiCompatibleProvider.js';
+
+/**
+ * OpenRouter speaks the OpenAI API and additionally wants app attribution headers
+ */
+export class OpenRouterProvider extends OpenAiCompatibleProvider {
+	/**
+	 * @param {Object} options - Provider options
+	 * @param {string} options.baseURL - OpenRouter base URL
+	 * @param {string} options.apiKey - OpenRouter API key
+	 */
+	constructor({ baseURL, apiKey }) {
+		super({
+			name: 'openrouter',
+			label: 'OpenRouter',
+			baseURL,
+			apiKey,
+			headers: {
+				'HTTP-Referer': 'https://flight-assistant-ai.com', // типа наш урл будет
+				'X-Title': 'Flight Assistant AI'
+			}
+		});
+	}
+}
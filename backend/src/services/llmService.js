@@ -1,70 +1,102 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
+import { createProvider } from './llmProviders/index.js';
+import promptContext from './promptContext.js';
+import airportRegistry from './airportRegistry.js';
+import languageService from './languageService.js';
+import answerCitations from './answerCitations.js';
+import logger from './logger.js';
+import metrics from './metrics.js';
+import { UpstreamError, toUpstreamError } from './errors.js';
 
 // Load environment variables
 dotenv.config();
 
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const OPENROUTER_BASE = process.env.OPENROUTER_BASE_URL;
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'openrouter';
+const DEFAULT_MODEL = 'google/gemini-flash-1.5';
+
+// Conversation context sent with follow-up questions
+const MAX_HISTORY_TURNS = 6;
+const MAX_HISTORY_ANSWER_CHARS = 600;
+
+// Aviation words for the keyword fallback when the classification can't be parsed.
+// Stems match at the start of a word, short words only as whole words; Chinese,
+// Japanese and Korean don't separate words with spaces, so those match anywhere
+const AVIATION_STEMS = [
+	'flight', 'airport', 'airline', 'aircraft', 'departure', 'arrival', 'terminal', 'runway',
+	'рейс', 'аэропорт', 'самолет', 'самолёт', 'вылет', 'прилет', 'прилёт', 'прибыт', 'прибыв', 'авиа',
+	'flug', 'flüge', 'aéroport', 'vuelo', 'aeropuerto', 'aeroporto', 'vlucht', 'luchthaven',
+	'uçuş', 'havalimanı', 'lotnisk', 'πτήσ', 'उड़ान',
+	'رحلة', 'رحلات', 'الرحل', 'مطار', 'المطار', 'טיס', 'הטיס', 'תעופה'
+];
+const AVIATION_WORDS = ['plane', 'planes', 'gate', 'gates', 'vol', 'vols', 'volo', 'voli', 'voo', 'voos', 'loty', 'lotu'];
+const AVIATION_ANYWHERE = ['航班', '机场', '機場', '航空', 'フライト', '空港', '항공', '공항'];
+const NOT_IN_WORD = '(?<![\\p{L}\\p{M}\\p{N}])';
+const AVIATION_KEYWORDS = new RegExp([
+	`${NOT_IN_WORD}(?:${AVIATION_STEMS.join('|')})`,
+	`${NOT_IN_WORD}(?:${AVIATION_WORDS.join('|')})(?![\\p{L}\\p{M}\\p{N}])`,
+	...AVIATION_ANYWHERE
+].join('|'), 'u');
+
+const log = logger.child({ component: 'llm' });
 
 class LLMService {
 	constructor() {
-		console.log('OPENROUTER_API_KEY', OPENROUTER_API_KEY);
-		console.log('OPENROUTER_BASE', OPENROUTER_BASE);
-		this.client = axios.create({
-			baseURL: OPENROUTER_BASE,
-			timeout: 60000,
-			headers: {
-				'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-				'Content-Type': 'application/json',
-				'HTTP-Referer': 'https://flight-assistant-ai.com', // типа наш урл будет
-				'X-Title': 'Flight Assistant AI'
-			}
-		});
+		this.provider = createProvider(LLM_PROVIDER);
 
-		// Request interceptor
-		this.client.interceptors.request.use(
-			(config) => {
-				console.log(`🤖 LLM Request: ${config.method?.toUpperCase()} ${config.url}`);
-				return config;
-			},
-			(error) => {
-				console.error('🚨 LLM Request Error:', error);
-				return Promise.reject(error);
-			}
-		);
-
-		// Response interceptor
-		this.client.interceptors.response.use(
-			(response) => {
-				console.log(`✅ LLM Response: ${response.status}`);
-				return response;
-			},
-			(error) => {
-				console.error('🚨 LLM Response Error:', {
-					status: error.response?.status,
-					message: error.response?.data?.error?.message || error.message,
-					url: error.config?.url
-				});
-				return Promise.reject(error);
-			}
-		);
+		// Cheap model for relevance/mode classification, stronger one can be used for answers
+		this.models = {
+			classification: process.env.LLM_CLASSIFICATION_MODEL || DEFAULT_MODEL,
+			answer: process.env.LLM_ANSWER_MODEL || DEFAULT_MODEL
+		};
+
+		// Models a request may pick with `model`; configured defaults are always allowed
+		const allowedModels = (process.env.LLM_ALLOWED_MODELS || '')
+			.split(',')
+			.map(model => model.trim())
+			.filter(Boolean);
+		this.allowedModels = [...new Set([this.models.answer, this.models.classification, ...allowedModels])];
+
+		log.info('LLM provider configured', { provider: this.provider.name, models: this.models });
+	}
+
+	/**
+	 * Check a per-request model override against LLM_ALLOWED_MODELS
+	 * @param {string} model - Requested model id
+	 * @returns {boolean} Whether the model may be used
+	 */
+	isAllowedModel(model) {
+		return this.allowedModels.includes(model);
+	}
+
+	/**
+	 * Provider and model configuration for clients
+	 * @returns {Object} { provider, models, allowedModels }
+	 */
+	getModelConfig() {
+		return {
+			provider: this.provider.name,
+			models: this.models,
+			allowedModels: this.allowedModels
+		};
 	}
 
 	/**
 	 * Analyze question to determine FlightAPI mode (arrivals or departures) & aviation topic relevance
 	 * @param {string} question - User's question
 	 * @param {string} airport - Airport code
+	 * @param {Array<Object>} history - Previous conversation turns [{ question, answer, mode }]
 	 * @returns {Promise<Object>} Analysis result with mode and reasoning
 	 */
-	async analyzeQuestionForMode(question, airport) {
+	async analyzeQuestionForMode(question, airport, history = []) {
 		try {
-			console.log(`🔍 Analyzing question for FlightAPI mode: "${question}"`);
+			log.info('Analyzing question for FlightAPI mode', { question, airport });
 
 			const analysisPrompt = `You are a FlightAPI.io integration specialist. Analyze this question to determine if it's aviation-related and what API mode to use.
 
 QUESTION: "${question}"
-AIRPORT: ${airport}
+AIRPORT: ${airport}${this._buildHistoryContext(history)}
+
+The question may be written in any language. Classify it by its meaning, and always reply with the English JSON format below.
 
 STEP 1 - RELEVANCE CHECK:
 First, determine if this question is related to aviation/airports/flights/travel. Valid topics include:
@@ -113,23 +145,24 @@ If aviation-related:
   "confidence": "high" or "medium" or "low"
 }`;
 
-			const response = await this.client.post('/chat/completions', {
-				model: 'google/gemini-flash-1.5',
+			const completion = await this._complete('classification', {
+				model: this.models.classification,
 				messages: [
 					{
 						role: 'user',
 						content: analysisPrompt
 					}
 				],
-				max_tokens: 200,
-				temperature: 0.1
+				params: {
+					max_tokens: 200,
+					temperature: 0.1
+				}
 			});
-			
-			console.log('LLM Service response status:', response.status);
-			console.log('LLM Service response data:', response.data);
+			// Reported in response metadata next to the answer call
+			const llm = { purpose: 'classification', model: completion.model, usage: completion.usage };
 
-			const analysisText = response.data.choices[0]?.message?.content?.trim();
-			console.log('Raw LLM analysis response:', analysisText);
+			const analysisText = completion.text.trim();
+			log.debug('Raw mode analysis response', { response: analysisText });
 
 			try {
 				// Try to extract JSON from response (sometimes LLM adds extra text)
@@ -137,7 +170,12 @@ If aviation-related:
 				const jsonText = jsonMatch ? jsonMatch[0] : analysisText;
 				
 				const analysis = JSON.parse(jsonText);
-				console.log(`✅ Mode analysis: relevant=${analysis.relevant}, mode=${analysis.mode} (${analysis.confidence} confidence) - ${analysis.reasoning}`);
+				log.info('Mode analysis complete', {
+					relevant: analysis.relevant,
+					mode: analysis.mode,
+					confidence: analysis.confidence,
+					reasoning: analysis.reasoning
+				});
 				
 				// Check if question is not relevant to aviation
 				if (analysis.relevant === false) {
@@ -146,19 +184,18 @@ If aviation-related:
 						mode: 'none',
 						reasoning: analysis.reasoning,
 						confidence: analysis.confidence,
-						shouldSkipAPI: true // Flag to skip FlightAPI call
+						shouldSkipAPI: true, // Flag to skip FlightAPI call
+						llm
 					};
 				}
 				
-				return analysis;
+				return { ...analysis, llm };
 			} catch (parseError) {
-				console.warn('⚠️ Could not parse mode analysis:', parseError.message);
-				console.warn('Raw response was:', analysisText);
+				log.warn('Could not parse mode analysis', { error: parseError, response: analysisText });
 				
 				// Fallback: try to determine if question is aviation-related
 				const questionLower = question.toLowerCase();
-				const aviationKeywords = ['flight', 'airport', 'airline', 'plane', 'aircraft', 'departure', 'arrival', 'terminal', 'gate', 'runway'];
-				const isAviationRelated = aviationKeywords.some(keyword => questionLower.includes(keyword));
+				const isAviationRelated = AVIATION_KEYWORDS.test(questionLower);
 				
 				if (!isAviationRelated) {
 					return {
@@ -166,7 +203,8 @@ If aviation-related:
 						mode: 'none',
 						reasoning: 'Question does not contain aviation-related keywords',
 						confidence: 'medium',
-						shouldSkipAPI: true
+						shouldSkipAPI: true,
+						llm
 					};
 				}
 				
@@ -186,12 +224,13 @@ If aviation-related:
 					relevant: true,
 					mode: fallbackMode,
 					reasoning: `Keyword-based fallback analysis (${fallbackMode})`,
-					confidence: 'medium'
+					confidence: 'medium',
+					llm
 				};
 			}
 
 		} catch (error) {
-			console.error('🚨 Mode Analysis Error:', error.message);
+			log.error('Mode analysis failed', { error });
 			return {
 				mode: 'arrivals',
 				reasoning: 'Default fallback due to analysis error',
@@ -207,69 +246,217 @@ If aviation-related:
 	 * @param {string} airport - Airport code
 	 * @param {string} mode - FlightAPI mode used
 	 * @param {Object} modeAnalysis - Mode analysis from LLM
-	 * @returns {Promise<string>} Generated answer
+	 * @param {Array<Object>} history - Previous conversation turns [{ question, answer }]
+	 * @param {Object} options - Model, language and streaming options
+	 * @param {Object} options.language - Question language from languageService.detect, the answer uses it
+	 * @param {string} options.model - Model override (already checked with isAllowedModel), configured answer model when empty
+	 * @param {Function} options.onToken - Called with each answer fragment; enables streaming when set
+	 * @param {AbortSignal} options.signal - Aborts the upstream request (e.g. client disconnected)
+	 * @returns {Promise<Object>} { answer, citations: raw { flights, aggregates } or null, llm: { purpose, model, usage }, context: prompt context report }
 	 */
-	async generateAnswer(question, flightData, airport, mode, modeAnalysis) {
+	async generateAnswer(question, flightData, airport, mode, modeAnalysis, history = [], { model, language, onToken, signal } = {}) {
 		try {
-			console.log(`🤖 Generating answer for: "${question}" (Airport: ${airport})`);
+			log.info('Generating answer', { question, airport, streaming: Boolean(onToken) });
+
+			// Only the flights relevant to the question, within the token budget
+			const context = promptContext.build(question, flightData, mode);
+			log.info('Prompt context built', {
+				includedFlights: context.report.includedFlights,
+				matchedFlights: context.report.matchedFlights,
+				estimatedTokens: context.report.estimatedTokens,
+				truncated: context.report.truncated
+			});
 
-			const systemPrompt = this._buildSupportSystemPrompt();
-			const userPrompt = this._buildSupportUserPrompt(question, flightData, airport, mode, modeAnalysis);
+			const answerLanguage = language?.name || 'English';
+			const systemPrompt = this._buildSupportSystemPrompt(answerLanguage);
+			const userPrompt = this._buildSupportUserPrompt(question, flightData, airport, mode, modeAnalysis, context.text, answerLanguage);
 
-			const response = await this.client.post('/chat/completions', {
-				model: 'google/gemini-flash-1.5',
+			// The citations block after the answer is not streamed
+			const stream = answerCitations.filterStream(onToken);
+			const completion = await this._complete('answer', {
+				model: model || this.models.answer,
 				messages: [
 					{
 						role: 'system',
 						content: systemPrompt
 					},
+					// Prior turns let follow-ups like "how many of those were Lufthansa?" resolve
+					...this._recentTurns(history).flatMap(turn => [
+						{ role: 'user', content: turn.question },
+						{ role: 'assistant', content: turn.answer }
+					]),
 					{
 						role: 'user',
 						content: userPrompt
 					}
 				],
-				max_tokens: 1500,
-				temperature: 0.3,
-				top_p: 0.9,
-				frequency_penalty: 0.1,
-				presence_penalty: 0.1
+				params: {
+					max_tokens: 1500,
+					temperature: 0.3,
+					top_p: 0.9,
+					frequency_penalty: 0.1,
+					presence_penalty: 0.1
+				},
+				onToken: stream?.push,
+				signal
 			});
-			console.log('OPENROUTER_API_KEY', OPENROUTER_API_KEY);
-			console.log('LLM request response status:', response.status);
-			console.log('LLM request response data:', response.data);
+			stream?.end();
+			log.debug('Raw answer response', { response: completion.text });
 
-			const answer = response.data.choices[0]?.message?.content;
-			console.log('generateAnswer response', answer);
+			const { answer, citations } = answerCitations.split(completion.text || '');
 
 			if (!answer) {
-				throw new Error('No answer generated by LLM');
+				throw new UpstreamError('No answer generated by LLM', { upstream: this.provider.name, retryable: true });
 			}
 
-			console.log(`✅ Generated answer (${answer.length} characters)`);
-			return answer.trim();
+			log.info('Answer generated', { model: completion.model, characters: answer.length, citations: Boolean(citations) });
+			return {
+				answer,
+				citations,
+				llm: { purpose: 'answer', model: completion.model, usage: completion.usage },
+				context: context.report
+			};
 
 		} catch (error) {
-			console.error('🚨 LLM Service Error:', error.message);
-
-			if (error.response?.status === 401) {
-				throw new Error('Invalid OpenRouter API key. Please check your configuration.');
-			} else if (error.response?.status === 429) {
-				throw new Error('OpenRouter rate limit exceeded. Please try again later.');
-			} else if (error.response?.status === 402) {
-				throw new Error('OpenRouter account has insufficient credits.');
-			} else if (error.code === 'ECONNABORTED') {
-				throw new Error('LLM request timeout. Please try again with a simpler question.');
-			} else {
-				throw new Error(`Failed to generate answer: ${error.message}`);
+			log.error('Answer generation failed', { error });
+			throw this._answerError(error);
+		}
+	}
+
+	/**
+	 * Generate a comparative answer for a question about several airports
+	 * @param {string} question - User's question
+	 * @param {Array<Object>} airports - [{ airport, flightData }] with processed flight data per airport
+	 * @param {string} mode - FlightAPI mode used for every airport
+	 * @param {Object} options - Same model, language and streaming options as generateAnswer
+	 * @returns {Promise<Object>} { answer, llm: { purpose, model, usage }, context: { [airport]: prompt context report } }
+	 */
+	async generateComparisonAnswer(question, airports, mode, { model, language, onToken, signal } = {}) {
+		try {
+			const codes = airports.map(({ airport }) => airport);
+			log.info('Generating comparison answer', { question, airports: codes, streaming: Boolean(onToken) });
+
+			// The flight rows budget is shared between the airports
+			const budgetTokens = Math.floor(promptContext.defaultBudgetTokens / airports.length);
+			const contexts = airports.map(({ flightData }) => promptContext.build(question, flightData, mode, { budgetTokens }));
+
+			const answerLanguage = language?.name || 'English';
+			const completion = await this._complete('answer', {
+				model: model || this.models.answer,
+				messages: [
+					{
+						role: 'system',
+						content: this._buildSupportSystemPrompt(answerLanguage)
+					},
+					{
+						role: 'user',
+						content: this._buildComparisonUserPrompt(question, airports, contexts.map(context => context.text), answerLanguage)
+					}
+				],
+				params: {
+					max_tokens: 1500,
+					temperature: 0.3,
+					top_p: 0.9
+				},
+				onToken,
+				signal
+			});
+
+			const answer = completion.text;
+			if (!answer) {
+				throw new UpstreamError('No answer generated by LLM', { upstream: this.provider.name, retryable: true });
 			}
+
+			log.info('Comparison answer generated', { model: completion.model, characters: answer.length });
+			return {
+				answer: answer.trim(),
+				llm: { purpose: 'answer', model: completion.model, usage: completion.usage },
+				context: Object.fromEntries(codes.map((code, index) => [code, contexts[index].report]))
+			};
+
+		} catch (error) {
+			log.error('Answer generation failed', { error });
+			throw this._answerError(error);
 		}
 	}
 
+	/**
+	 * Run a completion on the provider and record it in the metrics
+	 * @param {string} purpose - 'classification' or 'answer'
+	 * @param {Object} request - provider.complete request
+	 * @returns {Promise<Object>} { text, model, usage }
+	 */
+	async _complete(purpose, request) {
+		const provider = this.provider.name;
+		const endTimer = metrics.llmDuration.startTimer({ provider, model: request.model, purpose });
+
+		try {
+			const completion = await this.provider.complete(request);
+			endTimer();
+			metrics.llmRequests.inc({ provider, model: request.model, purpose, status: 'success' });
+			metrics.llmTokens.inc({ provider, model: request.model, type: 'prompt' }, completion.usage?.promptTokens || 0);
+			metrics.llmTokens.inc({ provider, model: request.model, type: 'completion' }, completion.usage?.completionTokens || 0);
+			return completion;
+		} catch (error) {
+			const status = request.signal?.aborted ? 'aborted' : error.response?.status || error.code || 'error';
+			metrics.llmRequests.inc({ provider, model: request.model, purpose, status });
+			throw error;
+		}
+	}
+
+	/**
+	 * Map a failed answer request to a typed error
+	 * @param {Error} error - Provider error
+	 * @returns {AppError} Error with a stable code and a readable message
+	 */
+	_answerError(error) {
+		return toUpstreamError(error, { upstream: this.provider.name, label: this.provider.label });
+	}
+
+	/**
+	 * Last conversation turns that fit into the prompt
+	 * @param {Array<Object>} history - Conversation turns [{ question, answer }]
+	 * @returns {Array<Object>} Recent turns with answers truncated
+	 */
+	_recentTurns(history) {
+		return (history || [])
+			.filter(turn => turn.question && turn.answer)
+			.slice(-MAX_HISTORY_TURNS)
+			.map(turn => ({
+				...turn,
+				answer: turn.answer.length > MAX_HISTORY_ANSWER_CHARS
+					? `${turn.answer.substring(0, MAX_HISTORY_ANSWER_CHARS)}...`
+					: turn.answer
+			}));
+	}
+
+	/**
+	 * Build conversation section for the mode analysis prompt
+	 * @param {Array<Object>} history - Conversation turns [{ question, answer, mode }]
+	 * @returns {string} Prompt section, empty for the first question
+	 */
+	_buildHistoryContext(history) {
+		const turns = this._recentTurns(history);
+		if (turns.length === 0) {
+			return '';
+		}
+
+		const lines = turns.map(turn => `Q: "${turn.question}"${turn.mode ? ` (mode: ${turn.mode})` : ''}\nA: ${turn.answer}`);
+
+		return `
+
+CONVERSATION SO FAR:
+${lines.join('\n\n')}
+
+The question may be a follow-up to this conversation. Follow-ups that refer to earlier turns ("those", "them", "and what about...") are aviation-related when the conversation is, and should keep the mode of the turn they refer to.`;
+	}
+
 	/**
 	 * Build support-style system prompt for human-like responses. used in generateAnswer method
+	 * @param {string} answerLanguage - Language name the answer must be written in
 	 * @returns {string} System prompt for support manager style
 	 */
-	_buildSupportSystemPrompt() {
+	_buildSupportSystemPrompt(answerLanguage = 'English') {
 		return `You are a friendly and professional AI support manager for Flight Assistant AI. Your role is to help users understand flight data in a conversational, human-like way.
 
 ## Your Personality
@@ -295,7 +482,8 @@ If aviation-related:
 - Be specific about what the data shows and any limitations
 
 ## Flight data
-- if User asks about the flights, you should use the rawFlightData to answer the question and write full data about the flights such as flight number, airline, departure time, arrival time, etc.
+- if User asks about the flights, you should use the FLIGHTS rows to answer the question and write full data about the flights such as flight number, airline, departure time, arrival time, etc.
+- if the FLIGHTS rows say the list is partial, say so instead of presenting it as complete
 
 ## Professional Standards
 - Stay accurate to the provided flight data
@@ -304,6 +492,10 @@ If aviation-related:
 - Provide actionable insights when possible
 - Maintain a helpful, service-oriented tone
 
+## Language
+- The customer wrote in ${answerLanguage}. Write the whole answer in ${answerLanguage}, even though the flight data is in English
+- Keep airport codes, flight numbers and airline names as they appear in the data
+
 Remember: You're a support manager helping a customer understand flight information. Be human, helpful, and informative.`;
 	}
 
@@ -315,19 +507,13 @@ Remember: You're a support manager helping a customer understand flight informat
 	 * @param {string} airport - Airport code
 	 * @param {string} mode - FlightAPI mode used
 	 * @param {Object} modeAnalysis - Mode analysis from LLM
+	 * @param {string} flightRows - Flight rows section from promptContext.build
+	 * @param {string} answerLanguage - Language name the answer must be written in
 	 * @returns {string} Complete user prompt for support style
 	 */
-	_buildSupportUserPrompt(question, flightData, airport, mode, modeAnalysis) {
-		const airportNames = {
-			'DXB': 'Dubai International Airport',
-			'LHR': 'London Heathrow Airport',
-			'CDG': 'Charles de Gaulle Airport (Paris)',
-			'SIN': 'Singapore Changi Airport',
-			'HKG': 'Hong Kong International Airport',
-			'AMS': 'Amsterdam Airport Schiphol'
-		};
-
-		const airportName = airportNames[airport] || airport;
+	_buildSupportUserPrompt(question, flightData, airport, mode, modeAnalysis, flightRows, answerLanguage = 'English') {
+		const airportInfo = airportRegistry.get(airport);
+		const airportName = airportInfo ? `${airportInfo.name}, ${airportInfo.city}, ${airportInfo.country}` : airport;
 
 		// Build comprehensive prompt with ALL available data
 		let prompt = `CUSTOMER SUPPORT REQUEST
@@ -336,10 +522,11 @@ Customer Question: "${question}"
 Airport: ${airport} (${airportName})
 Time Period: ${flightData.dayLabel}
 
-Raw FlightAPI Response: ${JSON.stringify(flightData.rawResult, null, 2)}
+FLIGHTS (selected from the FlightAPI.io schedule for this question):
+${flightRows}
 
-COMPLETE FLIGHTAPI DATASET:
-You have access to the complete FlightAPI.io response which includes:
+FLIGHTAPI DATASET:
+You also have this information from the FlightAPI.io response:
 
 AIRPORT DETAILS:`;
 
@@ -374,9 +561,78 @@ AIRPORT REVIEWS & RATINGS:
 			}
 		}
 
-		// Add flight schedule summary
+		prompt += this._buildScheduleDataPrompt(flightData);
+
 		prompt += `
 
+INSTRUCTIONS:
+Answer the customer's question using ANY relevant information from this dataset. The question can be about:
+- Flight schedules (arrivals/departures)
+- Airport information (location, website, timezone)
+- Airlines and routes
+- Countries and cities
+- Airport facilities and reviews
+- Any other data available in the FlightAPI response
+
+Be conversational, helpful, and specific. Use the exact data provided. If the question asks for information not in the dataset, clearly state what information IS available.
+
+${answerCitations.buildInstructions()}
+
+CUSTOMER QUESTION: "${question}"
+
+Please provide a friendly, helpful response as an AI support manager, written in ${answerLanguage}, followed by the ${answerCitations.marker} block.`;
+
+		return prompt;
+	}
+
+
+	/**
+	 * Build the user prompt for a comparison between airports
+	 * @param {string} question - User's question
+	 * @param {Array<Object>} airports - [{ airport, flightData }]
+	 * @param {Array<string>} flightRows - Flight rows section per airport from promptContext.build
+	 * @param {string} answerLanguage - Language name the answer must be written in
+	 * @returns {string} User prompt
+	 */
+	_buildComparisonUserPrompt(question, airports, flightRows, answerLanguage = 'English') {
+		const sections = airports.map(({ airport, flightData }, index) => {
+			const airportInfo = airportRegistry.get(airport);
+			const airportName = airportInfo ? `${airportInfo.name}, ${airportInfo.city}, ${airportInfo.country}` : airport;
+
+			return `=== AIRPORT ${airport} (${airportName}) ===${this._buildScheduleDataPrompt(flightData)}
+
+FLIGHTS AT ${airport}:
+${flightRows[index]}`;
+		});
+
+		return `CUSTOMER SUPPORT REQUEST - AIRPORT COMPARISON
+
+Customer Question: "${question}"
+Airports: ${airports.map(({ airport }) => airport).join(', ')}
+Time Period: ${airports[0].flightData.dayLabel}
+
+The same FlightAPI.io data is given for each airport below.
+
+${sections.join('\n\n')}
+
+INSTRUCTIONS:
+Compare the airports to answer the customer's question. Give the figures for every airport side by side, say clearly which airport has more or less and by how much, and only use the data above. If some flight lists are partial, base counts on the summaries and say that the lists are partial.
+
+CUSTOMER QUESTION: "${question}"
+
+Please provide a friendly, helpful response as an AI support manager, written in ${answerLanguage}.`;
+	}
+
+	/**
+	 * Schedule statistics section shared by single-airport and comparison prompts:
+	 * summary, punctuality, traffic per hour, top countries and airlines
+	 * @param {Object} flightData - Processed flight data
+	 * @returns {string} Prompt section
+	 */
+	_buildScheduleDataPrompt(flightData) {
+		// Add flight schedule summary
+		let prompt = `
+
 FLIGHT SCHEDULE SUMMARY:
 - Total arrivals: ${flightData.summary.totalArrivals}
 - Total departures: ${flightData.summary.totalDepartures}
@@ -384,6 +640,41 @@ FLIGHT SCHEDULE SUMMARY:
 - Countries with departing flights: ${flightData.summary.departureCountries}
 - Unique airlines: ${flightData.summary.uniqueAirlines}`;
 
+		// Add punctuality (delays measured at this airport)
+		const punctuality = flightData.punctuality;
+		if (punctuality?.overall.total > 0) {
+			const line = (label, stats) => `- ${label}: ${stats.onTimePercentage ?? 'n/a'}% on time of ${stats.measured} measured flights, average delay ${stats.averageDelayMinutes ?? 'n/a'} min, median ${stats.medianDelayMinutes ?? 'n/a'} min, ${stats.delayed} delayed, ${stats.canceled} canceled, ${stats.diverted} diverted, ${stats.pending} not yet operated`;
+			prompt += `
+
+PUNCTUALITY (on time = at most ${punctuality.thresholdMinutes} min late):
+${line('Arrivals', punctuality.arrivals)}
+${line('Departures', punctuality.departures)}`;
+
+			const delayedAirlines = punctuality.byAirline
+				.filter(airline => airline.delayed > 0)
+				.sort((a, b) => b.averageDelayMinutes - a.averageDelayMinutes)
+				.slice(0, 5);
+			if (delayedAirlines.length > 0) {
+				prompt += `\n- Most delayed airlines: ${delayedAirlines.map(airline => `${airline.airline} (avg ${airline.averageDelayMinutes} min, ${airline.delayed}/${airline.measured} delayed)`).join(', ')}`;
+			}
+		}
+
+		// Add hourly traffic so "busiest hour" questions are answered from counts
+		const traffic = flightData.traffic;
+		if (traffic?.totals.total > 0) {
+			const peak = (label, bucket) => `- Busiest for ${label}: ${bucket ? `${bucket.start}-${bucket.end} (${bucket.count} flights)` : 'none'}`;
+			const activeBuckets = traffic.buckets
+				.filter(bucket => bucket.total > 0)
+				.map(bucket => `${bucket.start} ${bucket.arrivals}/${bucket.departures}`);
+			prompt += `
+
+TRAFFIC PER ${traffic.bucketMinutes} MIN (scheduled, local time ${traffic.timezone}, arrivals/departures):
+${peak('arrivals', traffic.peak.arrivals)}
+${peak('departures', traffic.peak.departures)}
+${peak('all flights', traffic.peak.total)}
+- ${activeBuckets.join(', ')}`;
+		}
+
 		// Add top countries for both arrivals and departures
 		if (flightData.arrivals.total > 0) {
 			prompt += `
@@ -422,27 +713,9 @@ TOP AIRLINES (Arrivals): ${flightData.arrivals.airlines.slice(0, 8).join(', ')}`
 TOP AIRLINES (Departures): ${flightData.departures.airlines.slice(0, 8).join(', ')}`;
 		}
 
-		prompt += `
-
-INSTRUCTIONS:
-Answer the customer's question using ANY relevant information from this complete dataset. The question can be about:
-- Flight schedules (arrivals/departures)
-- Airport information (location, website, timezone)
-- Airlines and routes
-- Countries and cities
-- Airport facilities and reviews
-- Any other data available in the FlightAPI response
-
-Be conversational, helpful, and specific. Use the exact data provided. If the question asks for information not in the dataset, clearly state what information IS available.
-
-CUSTOMER QUESTION: "${question}"
-
-Please provide a friendly, helpful response as an AI support manager.`;
-
 		return prompt;
 	}
 
-
 	/**
 	 * Validate question content
 	 * @param {string} question - User question to validate
@@ -465,15 +738,13 @@ Please provide a friendly, helpful response as an AI support manager.`;
 			return false;
 		}
 
-		// Check for basic question indicators
-		const questionWords = ['how', 'what', 'where', 'when', 'why', 'which', 'who', 'many', 'much'];
-		const hasQuestionWord = questionWords.some(word =>
-			trimmed.toLowerCase().includes(word)
-		);
-
-		const hasQuestionMark = trimmed.includes('?');
+		// Check for basic question indicators in the question's language
+		const language = languageService.detect(trimmed);
+		const hasQuestionWord = languageService.hasQuestionWord(trimmed, language.code);
+		const hasQuestionMark = languageService.hasQuestionMark(trimmed);
 
-		return hasQuestionWord || hasQuestionMark;
+		// No word list for the language (e.g. Chinese, Arabic) - leave it to the relevance check
+		return hasQuestionWord !== false || hasQuestionMark;
 	}
 
 	/**
@@ -487,9 +758,10 @@ Please provide a friendly, helpful response as an AI support manager.`;
 		}
 
 		return question
+			.normalize('NFC')
 			.trim()
 			.replace(/\s+/g, ' ') // Replace multiple spaces with single space
-			.replace(/[^\w\s\?\!\.\,\-\(\)]/g, '') // Remove special characters except basic punctuation
+			.replace(/[^\p{L}\p{M}\p{N}\s?!.,:;'()\-/¿¡？！。，、؟]/gu, '') // Keep letters/digits of any script and basic punctuation
 			.substring(0, 500); // Limit length - можно поднять. режет ответ.
 	}
 }
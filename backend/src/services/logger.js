@@ -0,0 +1,227 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+// Long strings (answers, prompts, upstream bodies) and lists are cut so one line stays readable
+const MAX_STRING_LENGTH = parseInt(process.env.LOG_MAX_STRING_LENGTH) || 1000;
+const MAX_ARRAY_ITEMS = 20;
+const MAX_DEPTH = 5;
+
+const REDACTED = '[REDACTED]';
+// Field names whose values are never logged
+const SECRET_FIELD_PATTERN = /api[-_]?key|^token$|access[-_]?token|secret|password|authorization|cookie/i;
+// Environment variables holding credentials; their values are masked wherever they appear (e.g. in URLs)
+const SECRET_ENV_VARS = ['FLIGHT_API_KEY', 'OPENROUTER_API_KEY', 'LLM_API_KEY'];
+const MIN_SECRET_LENGTH = 6;
+
+// Incoming X-Request-Id values are reused when they look like an id, anything else gets a fresh one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+/**
+ * Structured JSON logger. Every line is one JSON object with time, level, msg,
+ * the correlation id of the request being handled (if any) and extra fields.
+ * Secrets are redacted and large values truncated before anything is written.
+ * LOG_LEVEL=debug|info|warn|error (default info)
+ */
+class Logger {
+  constructor(bindings = {}, context = new AsyncLocalStorage()) {
+    this.bindings = bindings;
+    this.context = context;
+    this.threshold = LEVELS[LOG_LEVEL];
+    this.secrets = SECRET_ENV_VARS
+      .map(name => process.env[name])
+      .filter(value => value && value.length >= MIN_SECRET_LENGTH);
+  }
+
+  /**
+   * Logger that adds fixed fields (e.g. { component: 'flightApi' }) to every line
+   * @param {Object} bindings - Fields to add
+   * @returns {Logger} Child logger sharing the request context
+   */
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings }, this.context);
+  }
+
+  debug(message, fields) {
+    this._write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this._write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this._write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this._write('error', message, fields);
+  }
+
+  /**
+   * Correlation id of the request being handled
+   * @returns {string|null} Request id, null outside a request (startup, background polls)
+   */
+  requestId() {
+    return this.context.getStore()?.requestId || null;
+  }
+
+  /**
+   * Run a function with a correlation id, for work that doesn't start from a request
+   * @param {string} requestId - Correlation id
+   * @param {Function} fn - Work to run
+   * @returns {*} fn's result
+   */
+  withRequestId(requestId, fn) {
+    return this.context.run({ requestId }, fn);
+  }
+
+  /**
+   * Express middleware: assigns the correlation id (reusing a valid incoming X-Request-Id),
+   * returns it in the X-Request-Id header and in `metadata.requestId` of JSON responses,
+   * makes it available to everything the request calls and logs the finished request
+   * @returns {Function} Middleware
+   */
+  requestMiddleware() {
+    return (req, res, next) => {
+      const startTime = Date.now();
+      const incoming = req.get('X-Request-Id');
+      const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+      req.id = requestId;
+      res.set('X-Request-Id', requestId);
+
+      const json = res.json.bind(res);
+      res.json = (body) => json(this.withMetadata(body, requestId));
+
+      // 'close' also fires when the client goes away before the response is complete (streams)
+      res.on('close', () => {
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        this._write(level, res.writableFinished ? 'Request completed' : 'Request aborted by client', {
+          method: req.method,
+          path: req.originalUrl,
+          status: res.statusCode,
+          durationMs: Date.now() - startTime,
+          ip: req.ip
+        }, requestId);
+      });
+
+      this.context.run({ requestId }, next);
+    };
+  }
+
+  /**
+   * Add the correlation id to a response body that carries `metadata`
+   * @param {*} body - Response body
+   * @param {string} requestId - Correlation id (defaults to the current request's)
+   * @returns {*} Body with metadata.requestId, other values unchanged
+   */
+  withMetadata(body, requestId = this.requestId()) {
+    if (!requestId || !body || typeof body !== 'object' || !body.metadata || typeof body.metadata !== 'object') {
+      return body;
+    }
+    return { ...body, metadata: { ...body.metadata, requestId } };
+  }
+
+  /**
+   * Mask secrets in a string: known credential values, bearer tokens and key-like query parameters
+   * @param {string} text - Text to clean
+   * @returns {string} Redacted text
+   */
+  redact(text) {
+    let result = this.secrets.reduce((value, secret) => value.split(secret).join(REDACTED), String(text));
+    result = result.replace(/(Bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`);
+    result = result.replace(/([?&](?:api[-_]?key|key|token|access_token)=)[^&\s"']+/gi, `$1${REDACTED}`);
+    return result;
+  }
+
+  _write(level, message, fields = {}, requestId = this.requestId()) {
+    if (LEVELS[level] < this.threshold) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: this._truncate(this.redact(message)),
+      ...(requestId && { requestId }),
+      ...this._clean(this.bindings, 0, new WeakSet()),
+      ...this._clean(fields, 0, new WeakSet())
+    };
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  // Redacted, truncated, JSON-safe copy of a logged value
+  _clean(value, depth, seen) {
+    if (value === null || value === undefined || typeof value === 'number' || typeof value === 'boolean') {
+      return value;
+    }
+    if (typeof value === 'string') {
+      return this._truncate(this.redact(value));
+    }
+    if (typeof value === 'bigint' || typeof value === 'symbol' || typeof value === 'function') {
+      return String(value);
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (value instanceof Error) {
+      return this._clean(this._serializeError(value), depth, seen);
+    }
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    if (depth >= MAX_DEPTH) {
+      return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+    }
+
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      const items = value.slice(0, MAX_ARRAY_ITEMS).map(item => this._clean(item, depth + 1, seen));
+      if (value.length > MAX_ARRAY_ITEMS) {
+        items.push(`[${value.length - MAX_ARRAY_ITEMS} more items]`);
+      }
+      return items;
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_FIELD_PATTERN.test(key) && item !== null && item !== undefined ? REDACTED : this._clean(item, depth + 1, seen)
+    ]));
+  }
+
+  _truncate(text) {
+    return text.length > MAX_STRING_LENGTH
+      ? `${text.slice(0, MAX_STRING_LENGTH)}…[${text.length - MAX_STRING_LENGTH} more chars]`
+      : text;
+  }
+
+  // Axios errors carry the whole request config (headers with credentials); only the useful parts are kept.
+  // Stacks are left out for expected failures (HTTP status errors, upstream responses)
+  _serializeError(error) {
+    const expected = Boolean(error.statusCode || error.response);
+
+    return {
+      name: error.name,
+      message: error.message,
+      ...(error.code && { code: error.code }),
+      ...(error.statusCode && { statusCode: error.statusCode }),
+      ...(error.upstream && { upstream: error.upstream }),
+      ...(error.response && { upstreamStatus: error.response.status }),
+      ...(error.config?.url && { url: error.config.url }),
+      ...(error.cause instanceof Error && { cause: this._serializeError(error.cause) }),
+      ...((!expected || LOG_LEVEL === 'debug') && { stack: error.stack })
+    };
+  }
+}
+
+export default new Logger();
@@ -0,0 +1,217 @@
+// Seconds; pipeline stages range from sub-millisecond local work to 30s+ LLM answers
+const DURATION_BUCKETS = [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+class Metric {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  // Labels in declaration order, missing ones as empty strings, so equal label sets share a key
+  _key(labels) {
+    return JSON.stringify(Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? ''])));
+  }
+}
+
+class Counter extends Metric {
+  inc(labels = {}, value = 1) {
+    const key = this._key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  collect() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} counter`,
+      ...Array.from(this.values, ([key, value]) => `${this.name}${formatLabels(JSON.parse(key))} ${value}`)
+    ];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const key = this._key(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+
+    const series = this.values.get(key);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * Start timing; the returned function records the elapsed seconds
+   * @param {Object} labels - Labels known up front
+   * @returns {Function} (moreLabels) => elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (moreLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...moreLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  collect() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+
+    this.values.forEach((series, key) => {
+      const labels = JSON.parse(key);
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+    });
+
+    return lines;
+  }
+}
+
+class Gauge {
+  constructor(name, help, read) {
+    this.name = name;
+    this.help = help;
+    this.read = read;
+  }
+
+  collect() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`, `${this.name} ${this.read()}`];
+  }
+}
+
+/**
+ * Prometheus metrics served on GET /metrics (text exposition format 0.0.4).
+ * Counters and histograms live in memory and start from zero on restart.
+ */
+class Metrics {
+  constructor() {
+    this.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+    this.registry = [];
+
+    this.httpRequestDuration = this._register(new Histogram(
+      'flight_assistant_http_request_duration_seconds',
+      'HTTP request duration by route and status',
+      ['method', 'route', 'status']
+    ));
+    // stage: classification, schedule_fetch, processing, answer; source: where the stage got its result
+    this.queryStageDuration = this._register(new Histogram(
+      'flight_assistant_query_stage_duration_seconds',
+      'Duration of query pipeline stages',
+      ['stage', 'source']
+    ));
+    this.queryDuration = this._register(new Histogram(
+      'flight_assistant_query_duration_seconds',
+      'Duration of answered queries, all stages',
+      ['type', 'answer_source']
+    ));
+    this.irrelevantQuestions = this._register(new Counter(
+      'flight_assistant_irrelevant_questions_total',
+      'Questions rejected as not aviation-related',
+      ['type']
+    ));
+    this.errors = this._register(new Counter(
+      'flight_assistant_errors_total',
+      'Error responses by error code',
+      ['code']
+    ));
+    this.flightApiRequests = this._register(new Counter(
+      'flight_assistant_flightapi_requests_total',
+      'FlightAPI requests by mode and HTTP status (or network error code)',
+      ['mode', 'status']
+    ));
+    this.flightApiDuration = this._register(new Histogram(
+      'flight_assistant_flightapi_request_duration_seconds',
+      'FlightAPI request duration by mode',
+      ['mode']
+    ));
+    this.scheduleCacheLookups = this._register(new Counter(
+      'flight_assistant_schedule_cache_lookups_total',
+      'Schedule lookups served from cache or FlightAPI',
+      ['result']
+    ));
+    this.llmRequests = this._register(new Counter(
+      'flight_assistant_llm_requests_total',
+      'LLM completions by model, purpose and outcome',
+      ['provider', 'model', 'purpose', 'status']
+    ));
+    this.llmDuration = this._register(new Histogram(
+      'flight_assistant_llm_request_duration_seconds',
+      'LLM completion duration by model and purpose',
+      ['provider', 'model', 'purpose']
+    ));
+    this.llmTokens = this._register(new Counter(
+      'flight_assistant_llm_tokens_total',
+      'LLM tokens by model and type (prompt, completion)',
+      ['provider', 'model', 'type']
+    ));
+
+    this._register(new Gauge('process_uptime_seconds', 'Process uptime', () => process.uptime()));
+    this._register(new Gauge('process_resident_memory_bytes', 'Resident memory size', () => process.memoryUsage().rss));
+    this._register(new Gauge('nodejs_heap_used_bytes', 'V8 heap in use', () => process.memoryUsage().heapUsed));
+  }
+
+  /**
+   * Express middleware recording duration of every request, and error codes of
+   * JSON error responses ({ error, code })
+   * @returns {Function} Middleware
+   */
+  requestMiddleware() {
+    return (req, res, next) => {
+      const endTimer = this.httpRequestDuration.startTimer({ method: req.method });
+
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode >= 400 && body?.code) {
+          this.errors.inc({ code: body.code });
+        }
+        return json(body);
+      };
+
+      res.on('close', () => {
+        // Route templates keep label values bounded (/export/:airport/flights, not every airport)
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        endTimer({ route, status: res.statusCode });
+      });
+
+      next();
+    };
+  }
+
+  /**
+   * Render all metrics
+   * @returns {string} Prometheus text exposition
+   */
+  render() {
+    return `${this.registry.flatMap(metric => metric.collect()).join('\n')}\n`;
+  }
+
+  _register(metric) {
+    this.registry.push(metric);
+    return metric;
+  }
+}
+
+export default new Metrics();
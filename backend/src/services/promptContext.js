@@ -0,0 +1,279 @@
+import dotenv from 'dotenv';
+import structuredQuery from './structuredQuery.js';
+import flightNormalizer from './flightNormalizer.js';
+
+// Load environment variables
+dotenv.config();
+
+// Token budget for the flight rows section of the answer prompt
+const CONTEXT_TOKEN_BUDGET = parseInt(process.env.PROMPT_CONTEXT_TOKENS) || 4000;
+// Rough chars-per-token ratio for English/JSON-ish text
+const CHARS_PER_TOKEN = 4;
+
+const ROW_COLUMNS = ['dir', 'time', 'actual', 'flight', 'airline', 'other airport', 'city', 'country', 'status', 'aircraft'];
+
+const STATUS_FILTERS = {
+	canceled: /\b(cancel+ed|cancel+ations?)\b/i,
+	delayed: /\b(delayed|delays?|late)\b/i,
+	diverted: /\bdiverted\b/i,
+	landed: /\blanded\b/i
+};
+
+// Day parts in minutes after local midnight, night wraps around
+const DAY_PARTS = {
+	morning: [5 * 60, 12 * 60],
+	afternoon: [12 * 60, 17 * 60],
+	evening: [17 * 60, 22 * 60],
+	night: [22 * 60, 5 * 60],
+	tonight: [18 * 60, 24 * 60]
+};
+
+const TIME = '(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)?';
+const FLIGHT_NUMBER = /\b([a-z]{2}|[a-z]\d|\d[a-z])\s?(\d{1,4})\b/gi;
+
+/**
+ * Builds the flight data section of the answer prompt. Instead of the whole
+ * FlightAPI response it selects the flights the question is about (countries,
+ * cities, airlines, flight numbers, statuses, a time window) and writes them as
+ * compact pipe-separated rows until the token budget is used up.
+ */
+class PromptContextBuilder {
+	constructor() {
+		this.defaultBudgetTokens = CONTEXT_TOKEN_BUDGET;
+	}
+
+	/**
+	 * Build flight rows for a question
+	 * @param {string} question - User question
+	 * @param {Object} flightData - Processed flight data (flights, timezone)
+	 * @param {string} mode - FlightAPI mode used: arrivals, departures or both
+	 * @param {Object} options - { budgetTokens }
+	 * @returns {Object} { text, report } - prompt section and what was included/truncated
+	 */
+	build(question, flightData, mode, { budgetTokens = CONTEXT_TOKEN_BUDGET } = {}) {
+		const timezone = flightData.timezone || flightNormalizer.airportTimezone(null, flightData.airport);
+		const rows = this._flattenRows(flightData.flights || [], mode);
+		const selection = this._select(question, rows);
+
+		const header = `Times are local airport time (${timezone.label}). Columns: ${ROW_COLUMNS.join(' | ')}`;
+		const lines = [];
+		let usedTokens = this.estimateTokens(header);
+
+		for (const row of selection.rows) {
+			const line = this._formatRow(row);
+			const tokens = this.estimateTokens(line) + 1;
+			if (usedTokens + tokens > budgetTokens) {
+				break;
+			}
+			lines.push(line);
+			usedTokens += tokens;
+		}
+
+		const omitted = selection.rows.length - lines.length;
+		const scope = selection.filtered
+			? `${selection.rows.length} of ${rows.length} flights match the question`
+			: `all ${rows.length} flights`;
+		const note = omitted > 0
+			? `Showing ${lines.length} of ${selection.rows.length} rows (${scope}); ${omitted} rows omitted to fit the context budget, the list is partial.`
+			: `Showing ${lines.length} ${lines.length === 1 ? 'row' : 'rows'} (${scope}).`;
+
+		return {
+			text: [note, header, ...lines].join('\n'),
+			report: {
+				budgetTokens,
+				estimatedTokens: usedTokens,
+				directions: mode === 'both' ? ['arrivals', 'departures'] : [mode],
+				filters: selection.filters,
+				totalFlights: rows.length,
+				matchedFlights: selection.rows.length,
+				includedFlights: lines.length,
+				omittedFlights: omitted,
+				truncated: omitted > 0
+			}
+		};
+	}
+
+	/**
+	 * Flights a question is about, the same selection build() writes into the prompt
+	 * @param {string} question - User question
+	 * @param {Object} flightData - Processed flight data (flights, timezone)
+	 * @param {string} mode - FlightAPI mode used: arrivals, departures or both
+	 * @returns {Object} { flights, filters, filtered } - canonical flights in schedule order
+	 */
+	selectFlights(question, flightData, mode) {
+		const selection = this._select(question, this._flattenRows(flightData.flights || [], mode));
+		return {
+			flights: selection.rows.map(row => row.flight),
+			filters: selection.filters,
+			filtered: selection.filtered
+		};
+	}
+
+	/**
+	 * Rough token estimate for budget checks
+	 * @param {string} text - Prompt text
+	 * @returns {number} Estimated tokens
+	 */
+	estimateTokens(text) {
+		return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+	}
+
+	/**
+	 * Pick rows the question is about; all rows when it names nothing specific
+	 * @returns {Object} { rows, filters, filtered }
+	 */
+	_select(question, rows) {
+		const { filters: mentions } = structuredQuery.findMentions(question, rows);
+		const flightNumbers = this._findFlightNumbers(question, rows);
+		const statuses = Object.keys(STATUS_FILTERS).filter(status => STATUS_FILTERS[status].test(question));
+		const timeWindow = this._findTimeWindow(question);
+
+		const filters = {
+			...Object.fromEntries(Object.entries(mentions).map(([field, filter]) => [field, Array.from(filter.values)])),
+			...(flightNumbers.length > 0 && { flightNumbers }),
+			...(statuses.length > 0 && { statuses }),
+			...(timeWindow && { timeWindow: timeWindow.label })
+		};
+
+		if (Object.keys(filters).length === 0) {
+			return { rows, filters, filtered: false };
+		}
+
+		const matchesMentions = (row) => Object.entries(mentions).every(([field, filter]) => filter.values.has(row[field]));
+		const matchesStatus = (row) => statuses.length === 0 || statuses.includes(row.statusKey);
+		const matchesWindow = (row) => !timeWindow || this._inWindow(row.minutes, timeWindow);
+
+		// A named flight is always included, the other filters narrow down together
+		const hasOtherFilters = Object.keys(mentions).length > 0 || statuses.length > 0 || timeWindow;
+		const selected = rows.filter(row =>
+			flightNumbers.includes(row.flightNumber) ||
+			(hasOtherFilters && matchesMentions(row) && matchesStatus(row) && matchesWindow(row))
+		);
+
+		return { rows: selected, filters, filtered: true };
+	}
+
+	_findFlightNumbers(question, rows) {
+		const known = new Set(rows.map(row => row.flightNumber).filter(Boolean));
+		const found = new Set();
+
+		for (const match of question.matchAll(FLIGHT_NUMBER)) {
+			const number = `${match[1]}${match[2]}`.toUpperCase();
+			if (known.has(number)) {
+				found.add(number);
+			}
+		}
+
+		return Array.from(found);
+	}
+
+	/**
+	 * Parse "between 14:00 and 16:00", "after 6pm", "before 9:30", "around 10am" or a day part
+	 * @returns {Object|null} { start, end, label } in minutes after midnight
+	 */
+	_findTimeWindow(question) {
+		const text = question.toLowerCase();
+		const toMinutes = (hours, minutes, meridiem) => {
+			let hour = Number(hours) % 24;
+			if (meridiem === 'pm' && hour < 12) hour += 12;
+			if (meridiem === 'am' && hour === 12) hour = 0;
+			return hour * 60 + Number(minutes || 0);
+		};
+		// A bare number is a time only with minutes or am/pm ("top 5" is not)
+		const isTime = (minutes, meridiem) => minutes !== undefined || meridiem !== undefined;
+
+		const range = text.match(new RegExp(`\\b(?:between|from)\\s+${TIME}\\s+(?:and|to|-)\\s+${TIME}`));
+		if (range && (isTime(range[2], range[3]) || isTime(range[5], range[6]))) {
+			const start = toMinutes(range[1], range[2], range[3] || range[6]);
+			const end = toMinutes(range[4], range[5], range[6]);
+			return { start, end, label: `${this._clock(start)}-${this._clock(end)}` };
+		}
+
+		const bound = text.match(new RegExp(`\\b(after|since|before|until|by|around|at)\\s+${TIME}`));
+		if (bound && isTime(bound[3], bound[4])) {
+			const time = toMinutes(bound[2], bound[3], bound[4]);
+			switch (bound[1]) {
+				case 'after':
+				case 'since':
+					return { start: time, end: 24 * 60, label: `after ${this._clock(time)}` };
+				case 'before':
+				case 'until':
+				case 'by':
+					return { start: 0, end: time, label: `before ${this._clock(time)}` };
+				default:
+					return { start: Math.max(0, time - 60), end: Math.min(24 * 60, time + 60), label: `around ${this._clock(time)}` };
+			}
+		}
+
+		const part = Object.keys(DAY_PARTS).find(name => new RegExp(`\\b${name}\\b`).test(text));
+		if (part) {
+			const [start, end] = DAY_PARTS[part];
+			return { start, end, label: part };
+		}
+
+		return null;
+	}
+
+	_inWindow(minutes, { start, end }) {
+		if (minutes === null) {
+			return false;
+		}
+		return start <= end
+			? minutes >= start && minutes <= end
+			: minutes >= start || minutes <= end;
+	}
+
+	/**
+	 * One row per canonical flight. Times are the ones at this airport:
+	 * arrival time for arrivals, departure time for departures.
+	 */
+	_flattenRows(flights, mode) {
+		return flights
+			.filter(flight => mode === 'both' || flight.direction === mode)
+			.map(flight => {
+				const times = flightNormalizer.timesHere(flight);
+				const actual = times.actual || times.estimated;
+				// Same naming as processFlightData so findMentions resolves the same values
+				const { airline, city, country } = flightNormalizer.labels(flight);
+
+				return {
+					direction: flight.direction,
+					scheduled: times.scheduled?.timestamp,
+					minutes: flightNormalizer.localMinutes(times.scheduled),
+					time: times.scheduled ? this._clock(flightNormalizer.localMinutes(times.scheduled)) : '',
+					actual: actual ? this._clock(flightNormalizer.localMinutes(actual)) : '',
+					flightNumber: flight.flightNumber || '',
+					airline,
+					otherAirport: flightNormalizer.otherAirport(flight).iata || '',
+					city,
+					country,
+					status: flight.status.text,
+					statusKey: flight.status.category,
+					aircraft: flight.aircraft.code || flight.aircraft.model || '',
+					flight
+				};
+			});
+	}
+
+	_formatRow(row) {
+		return [
+			row.direction === 'arrivals' ? 'ARR' : 'DEP',
+			row.time,
+			row.actual,
+			row.flightNumber,
+			row.airline,
+			row.otherAirport,
+			row.city,
+			row.country,
+			row.status,
+			row.aircraft
+		].join(' | ');
+	}
+
+	_clock(minutes) {
+		const hours = Math.floor(minutes / 60) % 24;
+		return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+	}
+}
+
+export default new PromptContextBuilder();
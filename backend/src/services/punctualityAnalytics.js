@@ -0,0 +1,142 @@
+import dotenv from 'dotenv';
+import flightNormalizer from './flightNormalizer.js';
+
+// Load environment variables
+dotenv.config();
+
+// Industry convention: a flight is on time when it is at most 15 minutes late
+const ON_TIME_THRESHOLD_MINUTES = parseInt(process.env.ON_TIME_THRESHOLD_MINUTES) || 15;
+const TOP_GROUPS = 10;
+
+/**
+ * Delay and punctuality analytics from a schedule's canonical flights.
+ * Delay is measured at this airport: arrival time for arrivals, departure time for departures.
+ * Real times are used when the flight has operated, estimated times otherwise.
+ */
+class PunctualityAnalytics {
+  constructor() {
+    this.onTimeThresholdMinutes = ON_TIME_THRESHOLD_MINUTES;
+  }
+
+  /**
+   * Analyze punctuality of a schedule
+   * @param {Object} flightData - Schedule from getAirportSchedule (flights, timezone)
+   * @returns {Object} { thresholdMinutes, timezoneOffsetMinutes, overall, arrivals, departures, byAirline, byCountry, byHour, flights }
+   */
+  analyze(flightData) {
+    const flights = (flightData.flights || []).map(flight => this._flight(flight));
+
+    return {
+      thresholdMinutes: ON_TIME_THRESHOLD_MINUTES,
+      timezoneOffsetMinutes: flightData.timezone?.offsetMinutes ?? 0,
+      overall: this._stats(flights),
+      arrivals: this._stats(flights.filter(flight => flight.direction === 'arrivals')),
+      departures: this._stats(flights.filter(flight => flight.direction === 'departures')),
+      byAirline: this._groupStats(flights, 'airline').slice(0, TOP_GROUPS),
+      byCountry: this._groupStats(flights, 'country').slice(0, TOP_GROUPS),
+      byHour: Array.from({ length: 24 }, (_, hour) => ({
+        hour,
+        ...this._stats(flights.filter(flight => flight.hour === hour))
+      })),
+      flights
+    };
+  }
+
+  /**
+   * Punctuality without the per-flight list, for API responses
+   * @param {Object} punctuality - analyze() result
+   * @returns {Object} Summary
+   */
+  summarize(punctuality) {
+    const { flights, ...summary } = punctuality;
+    return summary;
+  }
+
+  /**
+   * Classify a flight status
+   * @param {Object} flight - Canonical flight
+   * @returns {string} canceled | diverted | other
+   */
+  classifyStatus(flight) {
+    const text = `${flight.status.text} ${flight.status.generic || ''}`.toLowerCase();
+
+    if (/cancel/.test(text)) return 'canceled';
+    if (/divert/.test(text)) return 'diverted';
+    return 'other';
+  }
+
+  _flight(flight) {
+    const times = flightNormalizer.timesHere(flight);
+    const { airline, country } = flightNormalizer.labels(flight);
+    const statusClass = this.classifyStatus(flight);
+    const delayMinutes = statusClass === 'other' ? times.delayMinutes : null;
+    const scheduledMinutes = flightNormalizer.localMinutes(times.scheduled);
+
+    let state = 'pending';
+    if (statusClass !== 'other') {
+      state = statusClass;
+    } else if (delayMinutes !== null) {
+      state = delayMinutes <= ON_TIME_THRESHOLD_MINUTES ? 'on-time' : 'delayed';
+    }
+
+    return {
+      id: flight.id,
+      direction: flight.direction,
+      flightNumber: flight.flightNumber,
+      airline,
+      country,
+      status: flight.status.text,
+      scheduled: times.scheduled,
+      actual: times.actual || times.estimated,
+      actualIsEstimate: !times.actual && Boolean(times.estimated),
+      hour: scheduledMinutes === null ? null : Math.floor(scheduledMinutes / 60),
+      delayMinutes,
+      state
+    };
+  }
+
+  _stats(flights) {
+    const count = (state) => flights.filter(flight => flight.state === state).length;
+    const measured = flights.filter(flight => flight.delayMinutes !== null);
+    // Early flights count as zero delay in averages
+    const delays = measured.map(flight => Math.max(0, flight.delayMinutes)).sort((a, b) => a - b);
+    const onTime = count('on-time');
+
+    return {
+      total: flights.length,
+      measured: measured.length,
+      onTime,
+      delayed: count('delayed'),
+      canceled: count('canceled'),
+      diverted: count('diverted'),
+      pending: count('pending'),
+      onTimePercentage: measured.length > 0 ? Math.round((onTime / measured.length) * 1000) / 10 : null,
+      averageDelayMinutes: delays.length > 0 ? Math.round(delays.reduce((sum, delay) => sum + delay, 0) / delays.length) : null,
+      medianDelayMinutes: delays.length > 0 ? this._median(delays) : null,
+      maxDelayMinutes: delays.length > 0 ? delays[delays.length - 1] : null
+    };
+  }
+
+  _groupStats(flights, field) {
+    const groups = new Map();
+    flights.forEach(flight => {
+      const key = flight[field];
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(flight);
+    });
+
+    return Array.from(groups, ([value, groupFlights]) => ({ [field]: value, ...this._stats(groupFlights) }))
+      .sort((a, b) => b.total - a.total || String(a[field]).localeCompare(String(b[field])));
+  }
+
+  _median(sorted) {
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1
+      ? sorted[middle]
+      : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+  }
+}
+
+export default new PunctualityAnalytics();
@@ -0,0 +1,516 @@
+import flightApiService from './flightApi.js';
+import llmService from './llmService.js';
+import structuredQuery from './structuredQuery.js';
+import languageService from './languageService.js';
+import punctualityAnalytics from './punctualityAnalytics.js';
+import answerCitations from './answerCitations.js';
+import logger from './logger.js';
+import metrics from './metrics.js';
+import { NotFoundError } from './errors.js';
+
+const log = logger.child({ component: 'queryPipeline' });
+
+const IRRELEVANT_ANSWER = "Sorry, I can't understand your question. Can you ask again? I'm designed to help with flight schedules, airport information, airlines, and other aviation-related topics.";
+
+class QueryPipeline {
+	/**
+	 * Answer a natural language question: analysis -> schedule fetch -> processing -> answer.
+	 * Shared by the one-shot /query endpoint and conversation messages.
+	 * @param {Object} params - Validated request parameters
+	 * @param {string} params.airport - IATA airport code
+	 * @param {Array<string>|null} params.airports - Airport codes to compare instead of one airport
+	 * @param {string} params.question - Sanitized question
+	 * @param {number|null} params.date - Day parameter (-1, 1, 2)
+	 * @param {string|null} params.model - Answer model override (validated against the allowlist)
+	 * @param {Object|null} params.context - Conversation context { history, rawResult, fetchedAt, lastStructured }
+	 * @param {Function} params.onEvent - Optional (event, data) progress callback; enables answer streaming
+	 * @param {AbortSignal} params.signal - Optional signal to abort the LLM answer (client disconnected)
+	 * @returns {Promise<Object>} { body, rawFlightData, structuredResult }
+	 */
+	async run({ airport, airports = null, question, date, model = null, context = null, onEvent = null, signal }) {
+		if (airports?.length > 1) {
+			return this._runComparison({ airports, question, date, model, onEvent, signal });
+		}
+
+		const startTime = Date.now();
+		const history = context?.history || [];
+		const emit = onEvent || (() => {});
+
+		log.info('Processing query', { airport, question, turn: history.length + 1 });
+
+		// Answers (and the analysis we return) follow the language the question was asked in
+		const language = languageService.detect(question);
+		log.info('Question language detected', { language: language.code, confidence: language.confidence });
+
+		// Step 1: Structured count/top-N/list questions are answered locally and need no LLM analysis.
+		// The structured answers are English templates, so other languages go through the LLM
+		emit('stage', { stage: 'analyzing' });
+		const endClassification = metrics.queryStageDuration.startTimer({ stage: 'classification' });
+		const structuredIntent = language.code === 'en'
+			? structuredQuery.parse(question, airport, context?.lastStructured)
+			: null;
+		let modeAnalysis;
+
+		if (structuredIntent) {
+			log.info('Structured question recognised', { kind: structuredIntent.kind, mode: structuredIntent.mode });
+			modeAnalysis = {
+				relevant: true,
+				mode: structuredIntent.mode,
+				reasoning: `Structured ${structuredIntent.kind} question, mode taken from question wording`,
+				confidence: 'high'
+			};
+		} else {
+			// Analyze question to determine FlightAPI mode and relevance
+			modeAnalysis = await llmService.analyzeQuestionForMode(question, airport, history);
+		}
+		endClassification({ source: structuredIntent ? 'structured' : 'llm' });
+
+		emit('analysis', {
+			mode: modeAnalysis.mode,
+			confidence: modeAnalysis.confidence,
+			reasoning: modeAnalysis.reasoning,
+			relevant: modeAnalysis.relevant !== false && !modeAnalysis.shouldSkipAPI,
+			structured: Boolean(structuredIntent),
+			language
+		});
+
+		// Step 2: Check if question is relevant to aviation/airports -> return to frontend
+		if (modeAnalysis.shouldSkipAPI || modeAnalysis.relevant === false) {
+			log.info('Question not relevant to aviation, skipping FlightAPI call');
+			metrics.irrelevantQuestions.inc({ type: 'single' });
+			const responseTime = Date.now() - startTime;
+			emit('token', { text: IRRELEVANT_ANSWER });
+
+			return {
+				rawFlightData: null,
+				structuredResult: null,
+				body: {
+					success: true,
+					airport,
+					airportName: flightApiService.getAirportName(airport),
+					question,
+					answer: IRRELEVANT_ANSWER,
+					analysis: {
+						mode: modeAnalysis.mode,
+						reasoning: modeAnalysis.reasoning,
+						confidence: modeAnalysis.confidence,
+						relevant: false,
+						language
+					},
+					metadata: {
+						responseTime: `${responseTime}ms`,
+						timestamp: new Date().toISOString(),
+						dataSource: 'No API call made',
+						aiModel: modeAnalysis.llm?.model || 'None',
+						llmUsage: this._llmUsage([modeAnalysis.llm]),
+						answerSource: 'relevance-check',
+						flightApiCalled: false
+					}
+				}
+			};
+		}
+
+		// Step 3: Fetch flight data using intelligent mode selection (or reuse the conversation's schedule)
+		emit('stage', { stage: 'fetching', mode: modeAnalysis.mode });
+		const dayParam = date || 1; // Default to today (1) if no date provided
+		const endFetch = metrics.queryStageDuration.startTimer({ stage: 'schedule_fetch' });
+		const rawFlightData = await this._getSchedule(airport, dayParam, modeAnalysis.mode, context);
+		endFetch({ source: this._scheduleSource([rawFlightData]) });
+
+		emit('schedule', {
+			arrivals: rawFlightData.arrivals.length,
+			departures: rawFlightData.departures.length,
+			dayLabel: rawFlightData.dayLabel,
+			cached: rawFlightData.metadata.cache.hit
+		});
+
+		if (rawFlightData.arrivals.length === 0 && rawFlightData.departures.length === 0) {
+			throw new NotFoundError(`No flight data available for ${airport} (${rawFlightData.dayLabel})`, {
+				code: 'NO_FLIGHT_DATA',
+				details: {
+					dayParam: rawFlightData.dayParam,
+					dayLabel: rawFlightData.dayLabel
+				}
+			});
+		}
+
+		// Step 4: Process flight data
+		emit('stage', { stage: 'processing' });
+		const endProcessing = metrics.queryStageDuration.startTimer({ stage: 'processing', source: 'local' });
+		const processedData = flightApiService.processFlightData(rawFlightData);
+		endProcessing();
+		log.debug('Flight data processed', { summary: processedData.summary });
+
+		// Step 5: Answer structured questions exactly from processed data
+		const endAnswer = metrics.queryStageDuration.startTimer({ stage: 'answer' });
+		const structuredAnswer = structuredIntent
+			? structuredQuery.answer(structuredIntent, question, processedData, {
+				code: airport,
+				name: flightApiService.getAirportName(airport)
+			})
+			: null;
+
+		let answer;
+		let answerLlm = null;
+		let answerContext = null;
+		let citations = null;
+		emit('stage', { stage: 'answering', source: structuredAnswer ? 'structured' : 'llm' });
+
+		if (structuredAnswer) {
+			answer = structuredAnswer.answer;
+			emit('token', { text: answer });
+		} else {
+			// Step 6: Generate human-like AI answer as support manager
+			let rawCitations;
+			({ answer, citations: rawCitations, llm: answerLlm, context: answerContext } = await llmService.generateAnswer(question, processedData, airport, modeAnalysis.mode, modeAnalysis, history, {
+				model,
+				language,
+				onToken: onEvent ? (text) => emit('token', { text }) : undefined,
+				signal
+			}));
+
+			// Flights and counts the answer relies on, checked against the schedule
+			citations = answerCitations.validate(rawCitations, processedData);
+		}
+		const answerSource = structuredAnswer ? 'structured' : 'llm';
+		endAnswer({ source: answerSource });
+
+		const responseTime = Date.now() - startTime;
+		metrics.queryDuration.observe({ type: 'single', answer_source: answerSource }, responseTime / 1000);
+		log.info('Query completed', { airport, answerSource, durationMs: responseTime });
+
+		// Return comprehensive response with mode analysis
+		// (all data for frontend summary cards. rawResult is Used by LLM to generate answer with dataset)
+		return {
+			rawFlightData,
+			structuredResult: structuredAnswer?.result || null,
+			body: {
+				success: true,
+				airport,
+				airportName: flightApiService.getAirportName(airport),
+				question,
+				answer,
+				// { flights, unverifiedFlights, aggregates, verified } for LLM answers, null when the model cited nothing
+				citations,
+				analysis: {
+					mode: modeAnalysis.mode,
+					reasoning: modeAnalysis.reasoning,
+					confidence: modeAnalysis.confidence,
+					language,
+					...(structuredAnswer && { structured: structuredAnswer.result }),
+					// Which flights the LLM prompt contained and whether the list was cut to fit the budget
+					...(answerContext && { context: answerContext })
+				},
+				data: {
+					...this._dataSummary(processedData),
+					// Include complete raw FlightAPI response for debugging and advanced questions
+					rawResult: processedData.rawResult
+				},
+				metadata: {
+					responseTime: `${responseTime}ms`,
+					timestamp: new Date().toISOString(),
+					dataSource: 'FlightAPI.io',
+					aiModel: answerLlm?.model || 'None (structured query)',
+					llmUsage: this._llmUsage([modeAnalysis.llm, answerLlm]),
+					answerSource,
+					flightApiMode: modeAnalysis.mode,
+					flightApiCalled: !rawFlightData.metadata.cache.hit,
+					cache: rawFlightData.metadata.cache,
+					fetchedAt: rawFlightData.metadata.fetchedAt,
+					// A direction FlightAPI failed to return (the answer only covers the other one)
+					...(rawFlightData.metadata.warnings && { warnings: rawFlightData.metadata.warnings })
+				}
+			}
+		};
+	}
+
+	/**
+	 * Compare several airports: the same pipeline with schedules fetched concurrently,
+	 * comparison count questions answered exactly and anything else by the LLM
+	 * @param {Object} params - run() parameters with `airports` instead of `airport` (no conversation context)
+	 * @returns {Promise<Object>} { body, rawFlightData: null, structuredResult }
+	 */
+	async _runComparison({ airports, question, date, model, onEvent, signal }) {
+		const startTime = Date.now();
+		const emit = onEvent || (() => {});
+		const airportNames = Object.fromEntries(airports.map(airport => [airport, flightApiService.getAirportName(airport)]));
+
+		log.info('Processing comparison query', { airports, question });
+
+		const language = languageService.detect(question);
+		log.info('Question language detected', { language: language.code, confidence: language.confidence });
+
+		emit('stage', { stage: 'analyzing' });
+		const endClassification = metrics.queryStageDuration.startTimer({ stage: 'classification' });
+		const comparison = language.code === 'en'
+			? structuredQuery.parseComparison(question, airports)
+			: null;
+		let modeAnalysis;
+
+		if (comparison) {
+			log.info('Structured comparison question recognised', { kind: comparison.intent.kind, mode: comparison.intent.mode });
+			modeAnalysis = {
+				relevant: true,
+				mode: comparison.intent.mode,
+				reasoning: `Structured comparison of ${comparison.intent.kind === 'distinct' ? comparison.intent.dimension : 'flight'} counts, mode taken from question wording`,
+				confidence: 'high'
+			};
+		} else {
+			modeAnalysis = await llmService.analyzeQuestionForMode(question, airports.join(', '));
+		}
+		endClassification({ source: comparison ? 'structured' : 'llm' });
+
+		emit('analysis', {
+			mode: modeAnalysis.mode,
+			confidence: modeAnalysis.confidence,
+			reasoning: modeAnalysis.reasoning,
+			relevant: modeAnalysis.relevant !== false && !modeAnalysis.shouldSkipAPI,
+			structured: Boolean(comparison),
+			language,
+			airports
+		});
+
+		const comparedAirports = airports.map(airport => ({ airport, airportName: airportNames[airport] }));
+
+		if (modeAnalysis.shouldSkipAPI || modeAnalysis.relevant === false) {
+			log.info('Question not relevant to aviation, skipping FlightAPI calls');
+			metrics.irrelevantQuestions.inc({ type: 'comparison' });
+			emit('token', { text: IRRELEVANT_ANSWER });
+
+			return {
+				rawFlightData: null,
+				structuredResult: null,
+				body: {
+					success: true,
+					comparison: true,
+					airports: comparedAirports,
+					question,
+					answer: IRRELEVANT_ANSWER,
+					analysis: {
+						mode: modeAnalysis.mode,
+						reasoning: modeAnalysis.reasoning,
+						confidence: modeAnalysis.confidence,
+						relevant: false,
+						language
+					},
+					metadata: {
+						responseTime: `${Date.now() - startTime}ms`,
+						timestamp: new Date().toISOString(),
+						dataSource: 'No API call made',
+						aiModel: modeAnalysis.llm?.model || 'None',
+						llmUsage: this._llmUsage([modeAnalysis.llm]),
+						answerSource: 'relevance-check',
+						flightApiCalled: false
+					}
+				}
+			};
+		}
+
+		// Schedules of all airports are fetched at the same time
+		emit('stage', { stage: 'fetching', mode: modeAnalysis.mode });
+		const dayParam = date || 1;
+		const endFetch = metrics.queryStageDuration.startTimer({ stage: 'schedule_fetch' });
+		const schedules = await Promise.all(airports.map(airport => flightApiService.getAirportSchedule(airport, dayParam, modeAnalysis.mode)));
+		endFetch({ source: this._scheduleSource(schedules) });
+
+		const count = (direction) => schedules.reduce((total, schedule) => total + schedule[direction].length, 0);
+		emit('schedule', {
+			arrivals: count('arrivals'),
+			departures: count('departures'),
+			dayLabel: schedules[0].dayLabel,
+			cached: schedules.every(schedule => schedule.metadata.cache.hit),
+			airports: Object.fromEntries(schedules.map((schedule, index) => [airports[index], {
+				arrivals: schedule.arrivals.length,
+				departures: schedule.departures.length
+			}]))
+		});
+
+		if (count('arrivals') === 0 && count('departures') === 0) {
+			throw new NotFoundError(`No flight data available for ${airports.join(', ')} (${schedules[0].dayLabel})`, {
+				code: 'NO_FLIGHT_DATA',
+				details: {
+					dayParam: schedules[0].dayParam,
+					dayLabel: schedules[0].dayLabel
+				}
+			});
+		}
+
+		emit('stage', { stage: 'processing' });
+		const endProcessing = metrics.queryStageDuration.startTimer({ stage: 'processing', source: 'local' });
+		const processed = schedules.map(schedule => flightApiService.processFlightData(schedule));
+		endProcessing();
+
+		const endAnswer = metrics.queryStageDuration.startTimer({ stage: 'answer' });
+		const structuredAnswer = comparison
+			? structuredQuery.compare(comparison.intent, comparison.question, processed.map((flightData, index) => ({
+				airportInfo: { code: airports[index], name: airportNames[airports[index]] },
+				flightData
+			})))
+			: null;
+
+		let answer;
+		let answerLlm = null;
+		let answerContext = null;
+		emit('stage', { stage: 'answering', source: structuredAnswer ? 'structured' : 'llm' });
+
+		if (structuredAnswer) {
+			answer = structuredAnswer.answer;
+			emit('token', { text: answer });
+		} else {
+			({ answer, llm: answerLlm, context: answerContext } = await llmService.generateComparisonAnswer(
+				question,
+				processed.map((flightData, index) => ({ airport: airports[index], flightData })),
+				modeAnalysis.mode,
+				{
+					model,
+					language,
+					onToken: onEvent ? (text) => emit('token', { text }) : undefined,
+					signal
+				}
+			));
+		}
+
+		const answerSource = structuredAnswer ? 'structured' : 'llm';
+		endAnswer({ source: answerSource });
+
+		const warnings = schedules.flatMap((schedule, index) =>
+			(schedule.metadata.warnings || []).map(warning => ({ airport: airports[index], ...warning }))
+		);
+
+		const responseTime = Date.now() - startTime;
+		metrics.queryDuration.observe({ type: 'comparison', answer_source: answerSource }, responseTime / 1000);
+		log.info('Comparison query completed', { airports, answerSource, durationMs: responseTime });
+
+		return {
+			rawFlightData: null,
+			structuredResult: structuredAnswer?.result || null,
+			body: {
+				success: true,
+				comparison: true,
+				airports: comparedAirports,
+				question,
+				answer,
+				analysis: {
+					mode: modeAnalysis.mode,
+					reasoning: modeAnalysis.reasoning,
+					confidence: modeAnalysis.confidence,
+					language,
+					...(structuredAnswer && { structured: structuredAnswer.result }),
+					...(answerContext && { context: answerContext })
+				},
+				// Per-airport summaries without raw FlightAPI responses
+				data: {
+					dayParam: processed[0].dayParam,
+					dayLabel: processed[0].dayLabel,
+					airports: processed.map((processedData, index) => ({
+						...comparedAirports[index],
+						...this._dataSummary(processedData)
+					}))
+				},
+				metadata: {
+					responseTime: `${responseTime}ms`,
+					timestamp: new Date().toISOString(),
+					dataSource: 'FlightAPI.io',
+					aiModel: answerLlm?.model || 'None (structured query)',
+					llmUsage: this._llmUsage([modeAnalysis.llm, answerLlm]),
+					answerSource,
+					flightApiMode: modeAnalysis.mode,
+					flightApiCalled: schedules.some(schedule => !schedule.metadata.cache.hit),
+					cache: Object.fromEntries(schedules.map((schedule, index) => [airports[index], schedule.metadata.cache])),
+					fetchedAt: Object.fromEntries(schedules.map((schedule, index) => [airports[index], schedule.metadata.fetchedAt])),
+					...(warnings.length > 0 && { warnings })
+				}
+			}
+		};
+	}
+
+	/**
+	 * Processed flight data for frontend summary cards
+	 * @param {Object} processedData - processFlightData result
+	 * @returns {Object} { dayParam, dayLabel, summary, punctuality, traffic, arrivals, departures }
+	 */
+	_dataSummary(processedData) {
+		const topCountries = (byCountry) => Object.entries(byCountry)
+			.sort(([, a], [, b]) => b.length - a.length)
+			.slice(0, 10)
+			.map(([country, flights]) => ({ country, count: flights.length }));
+
+		return {
+			dayParam: processedData.dayParam,
+			dayLabel: processedData.dayLabel,
+			summary: processedData.summary,
+			punctuality: punctualityAnalytics.summarize(processedData.punctuality),
+			traffic: processedData.traffic,
+			arrivals: {
+				total: processedData.arrivals.total,
+				topCountries: topCountries(processedData.arrivals.byCountry),
+				topAirlines: processedData.arrivals.airlines.slice(0, 10)
+			},
+			departures: {
+				total: processedData.departures.total,
+				topCountries: topCountries(processedData.departures.byCountry),
+				topAirlines: processedData.departures.airlines.slice(0, 10)
+			}
+		};
+	}
+
+	/**
+	 * Summarize LLM calls made for one question
+	 * @param {Array<Object|null>} calls - { purpose, model, usage } per call, null for skipped calls
+	 * @returns {Object} { provider, calls, promptTokens, completionTokens, totalTokens }
+	 */
+	_llmUsage(calls) {
+		const made = calls.filter(Boolean);
+		const sum = (key) => made.reduce((total, call) => total + (call.usage?.[key] || 0), 0);
+
+		return {
+			provider: llmService.provider.name,
+			calls: made.map(({ purpose, model, usage }) => ({ purpose, model, ...usage })),
+			promptTokens: sum('promptTokens'),
+			completionTokens: sum('completionTokens'),
+			totalTokens: sum('totalTokens')
+		};
+	}
+
+	/**
+	 * Where the schedules of one query came from, for the schedule_fetch stage metric
+	 * @param {Array<Object>} schedules - getAirportSchedule results
+	 * @returns {string} 'conversation', 'cache' (every schedule cached) or 'flightapi'
+	 */
+	_scheduleSource(schedules) {
+		if (schedules.every(schedule => schedule.metadata.cache.source === 'conversation')) {
+			return 'conversation';
+		}
+		return schedules.every(schedule => schedule.metadata.cache.hit) ? 'cache' : 'flightapi';
+	}
+
+	/**
+	 * Get schedule for the requested mode, reusing directions already fetched in the conversation
+	 * @param {string} airport - IATA airport code
+	 * @param {number} dayParam - Day parameter
+	 * @param {string} mode - FlightAPI mode
+	 * @param {Object|null} context - Conversation context
+	 * @returns {Promise<Object>} Flight schedule data in getAirportSchedule format
+	 */
+	async _getSchedule(airport, dayParam, mode, context) {
+		const directions = mode === 'both' ? ['arrivals', 'departures'] : [mode];
+
+		if (context?.rawResult && directions.every(direction => context.rawResult[direction])) {
+			log.info('Reusing schedule already fetched in this conversation', { airport, mode });
+			const rawResult = Object.fromEntries(directions.map(direction => [direction, context.rawResult[direction]]));
+
+			return flightApiService.buildScheduleResult(airport, dayParam, mode, rawResult, {
+				fetchedAt: context.fetchedAt,
+				cache: {
+					hit: true,
+					key: 'conversation',
+					source: 'conversation'
+				}
+			});
+		}
+
+		return flightApiService.getAirportSchedule(airport, dayParam, mode);
+	}
+}
+
+export default new QueryPipeline();
@@ -0,0 +1,232 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import airportRegistry from './airportRegistry.js';
+import logger from './logger.js';
+
+// Load environment variables
+dotenv.config();
+
+const DEFAULT_CACHE_DIR = fileURLToPath(new URL('../../.cache/schedules', import.meta.url));
+
+// TTL per day parameter in seconds. Yesterday's schedule barely changes,
+// today's statuses move every few minutes, tomorrow's is mostly planned data.
+const TTL_SECONDS = {
+  '-1': parseInt(process.env.SCHEDULE_CACHE_TTL_YESTERDAY) || 6 * 60 * 60,
+  '1': parseInt(process.env.SCHEDULE_CACHE_TTL_TODAY) || 5 * 60,
+  '2': parseInt(process.env.SCHEDULE_CACHE_TTL_TOMORROW) || 30 * 60
+};
+
+const DIRECTIONS = ['arrivals', 'departures'];
+
+const log = logger.child({ component: 'scheduleCache' });
+
+class ScheduleCache {
+  constructor() {
+    this.enabled = process.env.SCHEDULE_CACHE_ENABLED !== 'false';
+    this.persist = process.env.SCHEDULE_CACHE_PERSIST === 'true';
+    this.directory = process.env.SCHEDULE_CACHE_DIR || DEFAULT_CACHE_DIR;
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0 };
+    this.loadPromise = null;
+  }
+
+  /**
+   * Build cache key for a schedule request. Keys hold the calendar date at the airport the
+   * day parameter stands for, so after local midnight yesterday's key is no longer today's
+   * @param {string} airportCode - IATA airport code
+   * @param {number} dayParam - Day parameter: -1, 1 or 2
+   * @param {string} mode - 'arrivals', 'departures' or 'both'
+   * @returns {string} Cache key, e.g. DXB_2025-10-19_both
+   */
+  buildKey(airportCode, dayParam, mode) {
+    return `${airportCode.toUpperCase()}_${airportRegistry.localDate(airportCode, dayParam)}_${mode}`;
+  }
+
+  /**
+   * Get TTL in milliseconds for day parameter
+   * @param {number} dayParam - Day parameter
+   * @returns {number} TTL in ms
+   */
+  getTtl(dayParam) {
+    return (TTL_SECONDS[String(dayParam)] || TTL_SECONDS['1']) * 1000;
+  }
+
+  /**
+   * Look up cached FlightAPI responses. A 'both' entry also satisfies
+   * 'arrivals' and 'departures' lookups, and separate 'arrivals' and
+   * 'departures' entries together satisfy a 'both' lookup.
+   * @param {string} airportCode - IATA airport code
+   * @param {number} dayParam - Day parameter
+   * @param {string} mode - Requested mode
+   * @returns {Promise<Object|null>} { key, rawResult, cachedAt, expiresAt } or null on miss
+   */
+  async get(airportCode, dayParam, mode) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    await this._ensureLoaded();
+
+    const exact = this._getFresh(this.buildKey(airportCode, dayParam, mode), dayParam);
+    if (exact) {
+      return this._hit(exact, exact.rawResult);
+    }
+
+    if (mode !== 'both') {
+      const both = this._getFresh(this.buildKey(airportCode, dayParam, 'both'), dayParam);
+      if (both && both.rawResult[mode]) {
+        return this._hit(both, { [mode]: both.rawResult[mode] });
+      }
+    } else {
+      const parts = DIRECTIONS.map(direction => this._getFresh(this.buildKey(airportCode, dayParam, direction), dayParam));
+      if (parts.every(Boolean)) {
+        // Combined entry is only as fresh as its oldest part
+        const oldest = parts.reduce((a, b) => (a.cachedAt <= b.cachedAt ? a : b));
+        return this._hit(oldest, {
+          arrivals: parts[0].rawResult.arrivals,
+          departures: parts[1].rawResult.departures
+        });
+      }
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * Store FlightAPI responses for airport/day/mode
+   * @param {string} airportCode - IATA airport code
+   * @param {number} dayParam - Day parameter
+   * @param {string} mode - Mode the data was fetched with
+   * @param {Object} rawResult - FlightAPI responses keyed by direction
+   * @returns {Promise<Object>} Stored entry
+   */
+  async set(airportCode, dayParam, mode, rawResult) {
+    const key = this.buildKey(airportCode, dayParam, mode);
+    const now = Date.now();
+    const entry = {
+      key,
+      rawResult,
+      cachedAt: now,
+      expiresAt: now + this.getTtl(dayParam)
+    };
+
+    if (!this.enabled) {
+      return entry;
+    }
+
+    this.entries.set(key, entry);
+
+    if (this.persist) {
+      await this._writeEntry(entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Cache statistics for diagnostics
+   * @returns {Object} Hit/miss counters and entry count
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      persist: this.persist,
+      entries: this.entries.size,
+      ...this.stats
+    };
+  }
+
+  _hit(entry, rawResult) {
+    this.stats.hits++;
+    return {
+      key: entry.key,
+      rawResult,
+      cachedAt: entry.cachedAt,
+      expiresAt: entry.expiresAt
+    };
+  }
+
+  // Entries are held to the TTL of the day they are read as: tomorrow's entry turns into today's at midnight
+  _getFresh(key, dayParam) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    const expiresAt = Math.min(entry.expiresAt, entry.cachedAt + this.getTtl(dayParam));
+    if (expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      if (this.persist) {
+        this._removeEntry(key);
+      }
+      return null;
+    }
+
+    return { ...entry, expiresAt };
+  }
+
+  _ensureLoaded() {
+    if (!this.persist) {
+      return Promise.resolve();
+    }
+
+    if (!this.loadPromise) {
+      this.loadPromise = this._loadFromDisk();
+    }
+
+    return this.loadPromise;
+  }
+
+  async _loadFromDisk() {
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+      const now = Date.now();
+
+      for (const file of files) {
+        try {
+          const entry = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+          if (entry.key && entry.expiresAt > now) {
+            this.entries.set(entry.key, entry);
+          } else {
+            await fs.unlink(path.join(this.directory, file));
+          }
+        } catch (error) {
+          log.warn('Skipping unreadable schedule cache file', { file, error });
+        }
+      }
+
+      log.info('Schedule cache loaded from disk', { entries: this.entries.size, directory: this.directory });
+    } catch (error) {
+      log.warn('Could not load schedule cache from disk', { error });
+    }
+  }
+
+  async _writeEntry(entry) {
+    const filePath = path.join(this.directory, `${entry.key}.json`);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(entry));
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      log.warn('Could not persist schedule cache entry', { key: entry.key, error });
+    }
+  }
+
+  async _removeEntry(key) {
+    try {
+      await fs.unlink(path.join(this.directory, `${key}.json`));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn('Could not remove schedule cache entry', { key, error });
+      }
+    }
+  }
+}
+
+export default new ScheduleCache();
@@ -0,0 +1,556 @@
+import flightNormalizer from './flightNormalizer.js';
+import airportRegistry from './airportRegistry.js';
+
+/**
+ * Local structured query layer. Recognises count / top-N / list questions about
+ * countries, cities, airlines and statuses and answers them exactly from
+ * processFlightData output, so they don't need the LLM at all.
+ */
+
+const DIMENSIONS = {
+	country: /\b(countries|country|nations?)\b/,
+	city: /\b(cities|city|destinations?|origins?|airports)\b/,
+	airline: /\b(airlines?|carriers?|operators?|airways)\b/,
+	status: /\b(statuses|status)\b/
+};
+
+const STATUS_WORDS = {
+	canceled: /\b(cancel+ed|cancel+ations?)\b/,
+	delayed: /\bdelayed\b/,
+	diverted: /\bdiverted\b/,
+	scheduled: /\bscheduled\b/,
+	landed: /\blanded\b/
+};
+
+// Questions with these constraints can't be answered from the grouped data
+const UNSUPPORTED = /\b(why|explain|recommend|should|best|worst|cheap\w*|price\w*|average|percent\w*|morning|afternoon|evening|night|tonight|before|after|between|hours?|hourly|am|pm|terminals?|gates?|aircraft|boeing|airbus|weather|late|on[ -]time|longest|shortest|first|last|next|earliest|latest|website|rating|reviews?|coordinates|timezone)\b|\d{1,2}:\d{2}|\b[a-z]{2}\d{1,4}\b/;
+
+const ARRIVAL_VERBS = /\b(arriv\w*|inbound|incoming|landing|come|comes|coming|came|origins?)\b/;
+const DEPARTURE_VERBS = /\b(depart\w*|outbound|leav\w*|go|goes|going|went|head\w*|destinations?)\b|\b(fly|flies|flying|flew|operate\w*)\s+to\b/;
+
+const COUNTRY_ALIASES = {
+	'us': 'United States',
+	'usa': 'United States',
+	'america': 'United States',
+	'united states of america': 'United States',
+	'uk': 'United Kingdom',
+	'britain': 'United Kingdom',
+	'great britain': 'United Kingdom',
+	'england': 'United Kingdom',
+	'uae': 'United Arab Emirates',
+	'emirates': 'United Arab Emirates',
+	'holland': 'Netherlands',
+	'the netherlands': 'Netherlands',
+	'south korea': 'South Korea',
+	'korea': 'South Korea'
+};
+
+// Every country by ISO code, so countries without flights in a schedule are still recognised
+// and "from Spain" is answered with 0 instead of going to the LLM. Skips groupings and test regions
+const REGION_NAMES = new Intl.DisplayNames(['en'], { type: 'region' });
+const NOT_COUNTRIES = ['EU', 'EZ', 'QO', 'UN', 'XA', 'XB', 'ZZ'];
+const KNOWN_COUNTRIES = Array.from({ length: 26 * 26 }, (_, index) => String.fromCharCode(65 + Math.floor(index / 26), 65 + index % 26))
+	.filter(code => !NOT_COUNTRIES.includes(code))
+	.map(code => ({ code, name: REGION_NAMES.of(code) }))
+	.filter(({ code, name }) => name && name !== code);
+
+const PHRASE_PREPOSITIONS = /\b(?:from|to|in|into|by|via|with|of)\s+([^?.!,;]+)/g;
+
+const DEFAULT_TOP_N = 5;
+const MAX_LIST_ITEMS = 20;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word match that also works for non-latin letters
+const wordPattern = (word, flags = '') => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, `u${flags}`);
+
+class StructuredQueryService {
+	/**
+	 * Recognise a structured question before any data is fetched
+	 * @param {string} question - Sanitized user question
+	 * @param {string} airport - Queried airport code, so "flights to LHR" reads as arrivals
+	 * @param {Object|null} previous - Structured result of the previous conversation turn, for "those"/"them"
+	 * @returns {Object|null} Intent { kind, dimension, mode, limit, order, statuses, inherited } or null if open-ended
+	 */
+	parse(question, airport = '', previous = null) {
+		if (!question || typeof question !== 'string') {
+			return null;
+		}
+
+		const text = question.toLowerCase();
+
+		if (UNSUPPORTED.test(text)) {
+			return null;
+		}
+
+		// Follow-ups can only be answered locally when the turn they refer to was structured too
+		const referential = /\b(those|these|them|they|of which)\b/.test(text);
+		if (referential && !previous?.filters) {
+			return null;
+		}
+		const context = referential ? previous : null;
+
+		const dimension = this._detectDimension(text);
+		let kind = null;
+
+		if (/\bhow many\b/.test(text)) {
+			// "How many countries ..." counts distinct values, "How many flights ..." counts flights
+			const countedWord = text.match(/\bhow many\s+(?:different\s+|distinct\s+|unique\s+)?(\w+)/)?.[1] || '';
+			const countedDimension = this._detectDimension(countedWord);
+			if (countedDimension && countedDimension !== 'status') {
+				return this._intent('distinct', countedDimension, text, airport, context);
+			}
+			if (!context && !/\b(flights?|arrivals?|departures?|planes?)\b/.test(text)) {
+				return null;
+			}
+			kind = 'count';
+		} else if (dimension && /\b(most|top|busiest|biggest|largest|fewest|least)\b/.test(text)) {
+			kind = 'top';
+		} else if (dimension && /^(which|what|list|show)\b/.test(text)) {
+			kind = 'list';
+		}
+
+		if (!kind) {
+			return null;
+		}
+
+		return this._intent(kind, kind === 'count' ? null : dimension, text, airport, context);
+	}
+
+	/**
+	 * Answer a parsed intent exactly from processed flight data
+	 * @param {Object} intent - Intent from parse()
+	 * @param {string} question - Sanitized user question
+	 * @param {Object} flightData - Processed flight data from FlightApiService
+	 * @param {Object} airportInfo - { code, name, city } of the queried airport
+	 * @param {Array<Object>|null} mentionFlights - Flights to resolve mentioned countries/cities/airlines against, this airport's by default
+	 * @returns {Object|null} { answer, result } or null if the question can't be resolved locally
+	 */
+	answer(intent, question, flightData, airportInfo = {}, mentionFlights = null) {
+		const details = (flightData.rawResult?.arrivals || flightData.rawResult?.departures)?.airport?.pluginData?.details;
+		const flights = this._flattenFlights(flightData, intent.mode);
+		const filters = this._resolveFilters(question, mentionFlights || flights, {
+			city: details?.position?.region?.city,
+			...airportInfo
+		});
+
+		if (!filters) {
+			return null;
+		}
+
+		if (intent.statuses.length > 0) {
+			filters.status = { label: intent.statuses.join(' or '), values: new Set(intent.statuses) };
+		}
+
+		// "How many of those were Lufthansa?" keeps the previous turn's filters unless overridden
+		Object.entries(intent.inherited || {}).forEach(([field, values]) => {
+			if (!filters[field]) {
+				filters[field] = { label: values.join(', '), values: new Set(values) };
+			}
+		});
+
+		const matching = flights.filter(flight => this._matchesFilters(flight, filters));
+		const scope = this._describeScope(intent.mode, filters, flightData, airportInfo);
+		const appliedFilters = Object.fromEntries(
+			Object.entries(filters).map(([field, filter]) => [field, Array.from(filter.values)])
+		);
+
+		if (intent.kind === 'count') {
+			const arrivals = matching.filter(flight => flight.direction === 'arrivals').length;
+			const departures = matching.length - arrivals;
+			const breakdown = intent.mode === 'both'
+				? ` (${arrivals} ${arrivals === 1 ? 'arrival' : 'arrivals'}, ${departures} ${departures === 1 ? 'departure' : 'departures'})`
+				: '';
+
+			return {
+				answer: `There ${matching.length === 1 ? 'is' : 'are'} **${matching.length}** ${this._flightNoun(intent.mode, matching.length)}${breakdown} ${scope}.`,
+				result: { kind: 'count', mode: intent.mode, filters: appliedFilters, count: matching.length, arrivals, departures }
+			};
+		}
+
+		const groups = this._groupBy(matching, intent.dimension);
+
+		if (intent.kind === 'distinct') {
+			const label = this._dimensionLabel(intent.dimension, groups.length);
+			return {
+				answer: `There ${groups.length === 1 ? 'is' : 'are'} **${groups.length}** ${label} with ${this._flightNoun(intent.mode, 2)} ${scope}.`,
+				result: { kind: 'distinct', mode: intent.mode, dimension: intent.dimension, filters: appliedFilters, count: groups.length }
+			};
+		}
+
+		if (groups.length === 0) {
+			return {
+				answer: `I couldn't find any ${this._flightNoun(intent.mode, 2)} ${scope}.`,
+				result: { kind: intent.kind, mode: intent.mode, dimension: intent.dimension, filters: appliedFilters, items: [] }
+			};
+		}
+
+		const sorted = intent.order === 'asc'
+			? [...groups].sort((a, b) => a.count - b.count || a.value.localeCompare(b.value))
+			: groups;
+		const limit = intent.kind === 'top' ? intent.limit : MAX_LIST_ITEMS;
+		const items = sorted.slice(0, limit);
+		const remaining = intent.kind === 'list' ? sorted.length - items.length : 0;
+
+		const heading = intent.kind === 'top'
+			? `${intent.order === 'asc' ? 'Fewest' : 'Top'} ${items.length} ${this._dimensionLabel(intent.dimension, items.length)} by ${this._flightNoun(intent.mode, 2)} ${scope}:`
+			: `${sorted.length} ${this._dimensionLabel(intent.dimension, sorted.length)} with ${this._flightNoun(intent.mode, 2)} ${scope}:`;
+		const lines = items.map((item, index) => `${index + 1}. **${item.value}** - ${item.count} ${item.count === 1 ? 'flight' : 'flights'}`);
+		if (remaining > 0) {
+			lines.push(`...and ${remaining} more.`);
+		}
+
+		return {
+			answer: [heading, ...lines].join('\n'),
+			result: {
+				kind: intent.kind,
+				mode: intent.mode,
+				dimension: intent.dimension,
+				filters: appliedFilters,
+				total: sorted.length,
+				items
+			}
+		};
+	}
+
+	/**
+	 * Recognise a comparison count question about several airports
+	 * ("Does AMS or CDG have more flights to Spain?", "How many flights to Italy at AMS and CDG?")
+	 * @param {string} question - Sanitized user question
+	 * @param {Array<string>} airports - Compared airport codes
+	 * @returns {Object|null} { intent, question } - count/distinct intent and the question with the codes replaced
+	 */
+	parseComparison(question, airports) {
+		if (!question || typeof question !== 'string') {
+			return null;
+		}
+
+		// Airport codes name the compared airports, not a filter: "from AMS, CDG and LHR" reads as "from this airport"
+		const neutral = airports
+			.reduce((text, code) => text.replace(wordPattern(code, 'gi'), '\u0000'), question)
+			.replace(/\u0000(?:\s*(?:,|&|\band\b|\bor\b|\bvs\b\.?|\bversus\b)?\s*\u0000)*/gi, 'this airport')
+			.replace(/\s+/g, ' ')
+			.trim();
+		const text = neutral.toLowerCase();
+
+		if (UNSUPPORTED.test(text)) {
+			return null;
+		}
+
+		let intent = null;
+		if (/\bhow many\b/.test(text)) {
+			intent = this.parse(neutral);
+		} else if (/\b(more|fewer|less|most|fewest|busier|busiest|compare\w*|versus|vs)\b/.test(text) &&
+			/\b(flights?|arrivals?|departures?|planes?|traffic|busier|busiest)\b/.test(text)) {
+			intent = this._intent('count', null, text, '', null);
+		}
+
+		return intent && ['count', 'distinct'].includes(intent.kind)
+			? { intent, question: neutral }
+			: null;
+	}
+
+	/**
+	 * Answer a comparison intent exactly, one structured answer per airport
+	 * @param {Object} intent - Intent from parseComparison()
+	 * @param {string} question - Question without airport codes, from parseComparison()
+	 * @param {Array<Object>} airports - [{ airportInfo: { code, name }, flightData }]
+	 * @returns {Object|null} { answer, result } or null if any airport can't be resolved locally
+	 */
+	compare(intent, question, airports) {
+		// "to Spain" is a filter when any compared airport has such flights, the others then count 0
+		const allFlights = airports.flatMap(({ flightData }) => this._flattenFlights(flightData, intent.mode));
+		const answers = airports.map(({ airportInfo, flightData }) => this.answer(intent, question, flightData, airportInfo, allFlights));
+		if (answers.some(answer => !answer)) {
+			return null;
+		}
+
+		const counts = airports
+			.map(({ airportInfo }, index) => ({ airport: airportInfo.code, count: answers[index].result.count }))
+			.sort((a, b) => b.count - a.count || a.airport.localeCompare(b.airport));
+		const [first, second] = counts;
+		const noun = intent.kind === 'distinct'
+			? this._dimensionLabel(intent.dimension, 2)
+			: this._flightNoun(intent.mode, 2);
+
+		let heading;
+		if (first.count === counts[counts.length - 1].count) {
+			heading = `All compared airports have the same number of ${noun}: **${first.count}**.`;
+		} else if (counts.length === 2) {
+			heading = `**${first.airport}** has more ${noun}: **${first.count}** vs **${second.count}** at **${second.airport}** (${first.count - second.count} more).`;
+		} else {
+			heading = `**${first.airport}** has the most ${noun} (**${first.count}**), followed by ${counts.slice(1).map(({ airport, count }) => `**${airport}** (${count})`).join(', ')}.`;
+		}
+
+		const lines = airports.map(({ airportInfo }, index) => `- **${airportInfo.code}**: ${answers[index].answer}`);
+		const leader = first.count > second.count ? first.airport : null;
+
+		return {
+			answer: [heading, ...lines].join('\n'),
+			result: {
+				kind: 'comparison',
+				metric: intent.kind,
+				mode: intent.mode,
+				dimension: intent.dimension,
+				filters: answers[0].result.filters,
+				leader,
+				airports: counts
+			}
+		};
+	}
+
+	_intent(kind, dimension, text, airport, context) {
+		const statuses = Object.entries(STATUS_WORDS)
+			.filter(([, pattern]) => pattern.test(text))
+			.map(([status]) => status);
+
+		const topMatch = text.match(/\btop\s+(\d+)\b/) || text.match(/\b(\d+)\s+(?:most|busiest|biggest|largest)\b/);
+		const singular = dimension && new RegExp(`\\b(which|what)\\s+(${['country', 'city', 'airline', 'carrier', 'destination', 'airport'].join('|')})\\b`).test(text);
+
+		return {
+			kind,
+			dimension,
+			mode: context?.mode || this._detectMode(text, airport),
+			limit: topMatch ? Math.max(1, Math.min(parseInt(topMatch[1]), MAX_LIST_ITEMS)) : (singular ? 1 : DEFAULT_TOP_N),
+			order: /\b(fewest|least)\b/.test(text) ? 'asc' : 'desc',
+			statuses,
+			inherited: context?.filters || {}
+		};
+	}
+
+	_detectDimension(text) {
+		const found = Object.entries(DIMENSIONS).find(([, pattern]) => pattern.test(text));
+		return found ? found[0] : null;
+	}
+
+	_detectMode(text, airport) {
+		// "to this airport" means arrivals here, "from this airport" means departures
+		const self = `(this airport|here${airport ? `|${escapeRegExp(airport.toLowerCase())}` : ''})\\b`;
+		const toSelf = new RegExp(`\\b(to|into)\\s+${self}`).test(text);
+		const fromSelf = new RegExp(`\\bfrom\\s+${self}`).test(text);
+		text = text.replace(new RegExp(`\\b(to|into|from)\\s+${self}`, 'g'), ' ');
+
+		// Verbs are a stronger signal than prepositions ("which cities does BA fly to from London")
+		const arrivalVerb = ARRIVAL_VERBS.test(text) || toSelf;
+		const departureVerb = DEPARTURE_VERBS.test(text) || fromSelf;
+
+		if (arrivalVerb !== departureVerb) {
+			return arrivalVerb ? 'arrivals' : 'departures';
+		}
+
+		if (arrivalVerb && departureVerb) {
+			return 'both';
+		}
+
+		const from = /\bfrom\b/.test(text);
+		const to = /\bto\b/.test(text);
+
+		if (from !== to) {
+			return from ? 'arrivals' : 'departures';
+		}
+
+		return 'both';
+	}
+
+	_flattenFlights(flightData, mode) {
+		return (flightData.flights || [])
+			.filter(flight => mode === 'both' || flight.direction === mode)
+			.map(flight => ({
+				direction: flight.direction,
+				...flightNormalizer.labels(flight),
+				countryCode: flightNormalizer.otherAirport(flight).countryCode,
+				flightNumber: flight.flightNumber,
+				status: flight.status.category
+			}));
+	}
+
+	/**
+	 * Find countries, cities and airlines from the data that the question mentions
+	 * @param {string} question - User question
+	 * @param {Array<Object>} flights - Flights with country, city and airline fields (and countryCode)
+	 * @param {Object} options - { knownCountries: also match countries the flights don't go to,
+	 * exclude: lowercase names never matched as such a country (the queried airport's own city and country) }
+	 * @returns {Object} { filters: { country|city|airline: { values: Set } }, matchedAliases }
+	 */
+	findMentions(question, flights, { knownCountries = false, exclude = [] } = {}) {
+		const candidates = new Map();
+
+		const addCandidate = (field, alias, value) => {
+			const key = alias?.toLowerCase();
+			if (!key || key.length < 2) {
+				return;
+			}
+			if (!candidates.has(key)) {
+				candidates.set(key, []);
+			}
+			candidates.get(key).push({ field, value, exact: key === value.toLowerCase() });
+		};
+
+		const countries = new Set(flights.map(flight => flight.country));
+		const cities = new Set(flights.map(flight => flight.city));
+		const airlines = new Set(flights.map(flight => flight.airline));
+
+		countries.forEach(country => addCandidate('country', country, country));
+
+		// Known countries resolve to the schedule's name for them when it has flights there ("Czechia" -> "Czech Republic")
+		const scheduleCountries = new Map(flights.filter(flight => flight.countryCode).map(flight => [flight.countryCode, flight.country]));
+		const otherCountries = new Set();
+		if (knownCountries) {
+			KNOWN_COUNTRIES
+				.filter(({ name }) => !countries.has(name) && !exclude.includes(name.toLowerCase()))
+				.forEach(({ code, name }) => {
+					addCandidate('country', name, scheduleCountries.get(code) || name);
+					otherCountries.add(name);
+				});
+		}
+
+		// "Emirates" alone only means the country when the schedule has flights there, otherwise it's likely the airline
+		Object.entries(COUNTRY_ALIASES).forEach(([alias, country]) => {
+			if (countries.has(country) || (otherCountries.has(country) && alias !== 'emirates')) {
+				addCandidate('country', alias, country);
+			}
+		});
+
+		cities.forEach(city => {
+			addCandidate('city', city, city);
+			const stripped = city.replace(/\b(international|intl|airport|airfield|regional)\b/gi, '').replace(/\s+/g, ' ').trim();
+			if (stripped.length >= 4 && stripped !== city) {
+				addCandidate('city', stripped, city);
+			}
+			const firstWord = stripped.split(' ')[0];
+			if (firstWord.length >= 4 && firstWord !== stripped) {
+				addCandidate('city', firstWord, city);
+			}
+		});
+
+		airlines.forEach(airline => {
+			addCandidate('airline', airline, airline);
+			const stripped = airline.replace(/\b(airlines|airways|air lines)\b/gi, '').trim();
+			if (stripped.length >= 4 && stripped !== airline) {
+				addCandidate('airline', stripped, airline);
+			}
+		});
+
+		// Longest alias wins and its span is consumed, so "Air France" doesn't also match "France"
+		const aliases = Array.from(candidates.keys()).sort((a, b) => b.length - a.length);
+		let working = question.toLowerCase();
+		const filters = {};
+		const matchedAliases = [];
+
+		aliases.forEach(alias => {
+			const pattern = wordPattern(alias, 'g');
+			if (!pattern.test(working)) {
+				return;
+			}
+
+			// An exact name beats a derived alias ("Emirates" the airline vs the country alias)
+			const options = candidates.get(alias);
+			const exact = options.filter(option => option.exact);
+			(exact.length > 0 ? exact : options).forEach(({ field, value }) => {
+				if (!filters[field]) {
+					filters[field] = { values: new Set() };
+				}
+				filters[field].values.add(value);
+			});
+
+			matchedAliases.push(alias);
+			working = working.replace(wordPattern(alias, 'g'), ' ');
+		});
+
+		return { filters, matchedAliases };
+	}
+
+	/**
+	 * Resolve countries, cities and airlines mentioned in the question against the data.
+	 * Returns null when the question names something we can't map (e.g. "Asian countries").
+	 */
+	_resolveFilters(question, flights, airportInfo) {
+		// Every "from X" / "to X" phrase must be explained by a resolved filter or the airport itself
+		const registered = airportRegistry.get(airportInfo.code);
+		const selfReferences = [airportInfo.code, airportInfo.city, airportInfo.name, registered?.city, 'this airport', 'here', 'there']
+			.filter(Boolean)
+			.map(reference => reference.toLowerCase());
+
+		// "Flights from Singapore" at SIN means the airport itself, not a country filter with no flights
+		const { filters, matchedAliases } = this.findMentions(question, flights, {
+			knownCountries: true,
+			exclude: [...selfReferences, registered?.country?.toLowerCase()].filter(Boolean)
+		});
+
+		for (const match of question.toLowerCase().matchAll(PHRASE_PREPOSITIONS)) {
+			const phrase = match[1].trim();
+			const explained = [...matchedAliases, ...selfReferences].some(alias => wordPattern(alias).test(phrase)) ||
+				/^(the |those |these |all )?(airport|flights?|arrivals?|departures?|data|schedule|today|yesterday|tomorrow|direct flights?)\b/.test(phrase) ||
+				Object.values(STATUS_WORDS).some(pattern => pattern.test(phrase));
+			if (!explained) {
+				return null;
+			}
+		}
+
+		Object.values(filters).forEach(filter => {
+			filter.label = Array.from(filter.values).join(', ');
+		});
+
+		return filters;
+	}
+
+	_matchesFilters(flight, filters) {
+		return Object.entries(filters).every(([field, filter]) => filter.values.has(flight[field]));
+	}
+
+	_groupBy(flights, dimension) {
+		const counts = new Map();
+		flights.forEach(flight => {
+			const value = flight[dimension] || 'Unknown';
+			counts.set(value, (counts.get(value) || 0) + 1);
+		});
+
+		return Array.from(counts, ([value, count]) => ({ value, count }))
+			.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+	}
+
+	_describeScope(mode, filters, flightData, airportInfo) {
+		const parts = [];
+		const preposition = mode === 'arrivals' ? 'from' : mode === 'departures' ? 'to' : 'to/from';
+
+		if (filters.country) {
+			parts.push(`${preposition} ${filters.country.label}`);
+		}
+		if (filters.city) {
+			parts.push(`${preposition} ${filters.city.label}`);
+		}
+		if (filters.airline) {
+			parts.push(`operated by ${filters.airline.label}`);
+		}
+		if (filters.status) {
+			parts.push(`with status "${filters.status.label}"`);
+		}
+
+		const place = mode === 'arrivals' ? 'at' : mode === 'departures' ? 'from' : 'at';
+		parts.push(`${place} ${airportInfo.code || flightData.airport} (${flightData.dayLabel})`);
+
+		return parts.join(' ');
+	}
+
+	_flightNoun(mode, count) {
+		if (mode === 'arrivals') {
+			return count === 1 ? 'arriving flight' : 'arriving flights';
+		}
+		if (mode === 'departures') {
+			return count === 1 ? 'departing flight' : 'departing flights';
+		}
+		return count === 1 ? 'flight' : 'flights';
+	}
+
+	_dimensionLabel(dimension, count) {
+		const labels = {
+			country: ['country', 'countries'],
+			city: ['city', 'cities'],
+			airline: ['airline', 'airlines'],
+			status: ['status', 'statuses']
+		};
+		return labels[dimension][count === 1 ? 0 : 1];
+	}
+}
+
+export default new StructuredQueryService();
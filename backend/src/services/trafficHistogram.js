@@ -0,0 +1,99 @@
+import dotenv from 'dotenv';
+import flightNormalizer from './flightNormalizer.js';
+
+// Load environment variables
+dotenv.config();
+
+// Bucket sizes that divide a day evenly
+const BUCKET_SIZES = [15, 20, 30, 60, 120, 180, 240];
+const DEFAULT_BUCKET_MINUTES = BUCKET_SIZES.includes(parseInt(process.env.TRAFFIC_BUCKET_MINUTES))
+  ? parseInt(process.env.TRAFFIC_BUCKET_MINUTES)
+  : 60;
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Time-bucketed arrival and departure counts from a schedule's canonical flights.
+ * Flights are bucketed by scheduled time at this airport (arrival time for arrivals,
+ * departure time for departures) in airport-local time.
+ */
+class TrafficHistogram {
+  constructor() {
+    this.bucketSizes = BUCKET_SIZES;
+    this.defaultBucketMinutes = DEFAULT_BUCKET_MINUTES;
+  }
+
+  /**
+   * Build a traffic histogram of a schedule
+   * @param {Object} flightData - Schedule from getAirportSchedule (flights, timezone)
+   * @param {Object} options - { bucketMinutes }
+   * @returns {Object} { bucketMinutes, timezone, timezoneOffsetMinutes, buckets, peak, totals }
+   */
+  build(flightData, { bucketMinutes = DEFAULT_BUCKET_MINUTES } = {}) {
+    const timezone = flightData.timezone || flightNormalizer.airportTimezone(null, flightData.airport);
+    const buckets = Array.from({ length: MINUTES_PER_DAY / bucketMinutes }, (_, index) => {
+      const startMinutes = index * bucketMinutes;
+      return {
+        start: this._clock(startMinutes),
+        end: this._clock(startMinutes + bucketMinutes),
+        startMinutes,
+        arrivals: 0,
+        departures: 0,
+        total: 0
+      };
+    });
+    const totals = { arrivals: 0, departures: 0, total: 0, unscheduled: 0 };
+
+    (flightData.flights || []).forEach(flight => {
+      const minutes = flightNormalizer.localMinutes(flightNormalizer.timesHere(flight).scheduled);
+      if (minutes === null) {
+        totals.unscheduled++;
+        return;
+      }
+
+      const bucket = buckets[Math.floor(minutes / bucketMinutes)];
+      bucket[flight.direction]++;
+      bucket.total++;
+      totals[flight.direction]++;
+      totals.total++;
+    });
+
+    return {
+      bucketMinutes,
+      timezone: timezone.label,
+      timezoneOffsetMinutes: timezone.offsetMinutes,
+      buckets,
+      peak: {
+        arrivals: this._peak(buckets, 'arrivals'),
+        departures: this._peak(buckets, 'departures'),
+        total: this._peak(buckets, 'total')
+      },
+      totals
+    };
+  }
+
+  /**
+   * Check a requested bucket size
+   * @param {number} minutes - Bucket size in minutes
+   * @returns {boolean} Whether the size is supported
+   */
+  isValidBucketSize(minutes) {
+    return BUCKET_SIZES.includes(Number(minutes));
+  }
+
+  /**
+   * Busiest bucket for a field, earliest one on ties
+   */
+  _peak(buckets, field) {
+    const busiest = buckets.reduce((best, bucket) => bucket[field] > best[field] ? bucket : best, buckets[0]);
+    return busiest[field] > 0
+      ? { start: busiest.start, end: busiest.end, count: busiest[field] }
+      : null;
+  }
+
+  _clock(minutes) {
+    const hours = Math.floor(minutes / 60) % 24;
+    return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+}
+
+export default new TrafficHistogram();
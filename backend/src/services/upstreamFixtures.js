@@ -0,0 +1,153 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import logger from './logger.js';
+
+// Load environment variables
+dotenv.config();
+
+const DEFAULT_FIXTURES_DIR = fileURLToPath(new URL('../../fixtures', import.meta.url));
+const DEFAULT_RECORD_DIR = path.join(DEFAULT_FIXTURES_DIR, 'recorded');
+const MODES = ['live', 'record', 'replay'];
+
+const log = logger.child({ component: 'upstreamFixtures' });
+
+/**
+ * Record/replay seam for the upstream axios clients.
+ * UPSTREAM_MODE=live   - talk to upstream as usual (default)
+ * UPSTREAM_MODE=record - talk to upstream and save every successful response as a fixture
+ * UPSTREAM_MODE=replay - never touch the network, serve responses from fixtures
+ *
+ * Recordings go to FIXTURES_RECORD_DIR (default fixtures/recorded, git-ignored since
+ * they can hold live data). Replay prefers a recording and falls back to the small
+ * sanitised set committed in FIXTURES_DIR (default fixtures), so a fresh clone can
+ * replay today's LHR schedule and answer structured questions about it offline.
+ */
+class UpstreamFixtures {
+  constructor() {
+    const mode = (process.env.UPSTREAM_MODE || 'live').toLowerCase();
+    this.mode = MODES.includes(mode) ? mode : 'live';
+    this.directory = process.env.FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+    this.recordDirectory = process.env.FIXTURES_RECORD_DIR || DEFAULT_RECORD_DIR;
+
+    if (mode !== this.mode) {
+      log.warn('Unknown UPSTREAM_MODE, falling back to live', { mode });
+    }
+  }
+
+  /**
+   * Install record/replay adapter on an axios client
+   * @param {import('axios').AxiosInstance} client - Upstream axios client
+   * @param {string} upstream - Upstream name, used as fixtures subdirectory (e.g. 'flightapi')
+   * @param {Function} keyFor - (config) => string, stable fixture key for a request without secrets
+   */
+  attach(client, upstream, keyFor) {
+    if (this.mode === 'live') {
+      return;
+    }
+
+    const liveAdapter = axios.getAdapter(client.defaults.adapter || axios.defaults.adapter);
+
+    client.defaults.adapter = async (config) => {
+      const key = keyFor(config);
+      const filePath = path.join(this.recordDirectory, upstream, `${key}.json`);
+
+      if (this.mode === 'replay') {
+        const committedPath = path.join(this.directory, upstream, `${key}.json`);
+        return this._replay(fs.existsSync(filePath) ? filePath : committedPath, upstream, key, config);
+      }
+
+      const response = await liveAdapter(config);
+
+      if (config.responseType === 'stream') {
+        // Buffer streamed bodies (SSE completions) so they can be saved and still passed on
+        const body = await this._readStream(response.data);
+        this._record(filePath, upstream, key, { ...response, data: body });
+        return { ...response, data: Readable.from([Buffer.from(body)]) };
+      }
+
+      this._record(filePath, upstream, key, response);
+      return response;
+    };
+
+    log.info('Upstream fixtures attached', {
+      upstream,
+      mode: this.mode,
+      directory: path.join(this.directory, upstream),
+      recordDirectory: path.join(this.recordDirectory, upstream)
+    });
+  }
+
+  /**
+   * Hash a request body so prompts can be used as fixture keys
+   * @param {string|Object} body - Request body
+   * @returns {string} Short sha256 hex digest
+   */
+  hash(body) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body ?? null);
+    return crypto.createHash('sha256').update(text).digest('hex').slice(0, 32);
+  }
+
+  _replay(filePath, upstream, key, config) {
+    if (!fs.existsSync(filePath)) {
+      const error = new Error(`No recorded ${upstream} fixture for "${key}" (replay mode)`);
+      error.config = config;
+      return Promise.reject(error);
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    log.info('Replaying fixture', { upstream, key, file: filePath });
+
+    const data = config.responseType === 'stream'
+      ? Readable.from([Buffer.from(typeof fixture.data === 'string' ? fixture.data : JSON.stringify(fixture.data))])
+      : fixture.data;
+
+    return Promise.resolve({
+      data,
+      status: fixture.status,
+      statusText: 'OK',
+      headers: {},
+      config,
+      request: {}
+    });
+  }
+
+  async _readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  _record(filePath, upstream, key, response) {
+    try {
+      let data = response.data;
+      if (typeof data === 'string') {
+        try {
+          data = JSON.parse(data);
+        } catch {
+          // Keep non-JSON bodies as text
+        }
+      }
+
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify({
+        upstream,
+        key,
+        recordedAt: new Date().toISOString(),
+        status: response.status,
+        data
+      }, null, 2));
+      log.info('Recorded fixture', { upstream, key });
+    } catch (error) {
+      log.warn('Could not record fixture', { upstream, key, error });
+    }
+  }
+}
+
+export default new UpstreamFixtures();
@@ -0,0 +1,243 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+import { CircuitOpenError, parseRetryAfter } from './errors.js';
+import logger from './logger.js';
+
+// Load environment variables
+dotenv.config();
+
+// Retries after the first attempt; UPSTREAM_MAX_RETRIES=0 turns retrying off
+const MAX_RETRIES = parseInt(process.env.UPSTREAM_MAX_RETRIES ?? 2) || 0;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.UPSTREAM_RETRY_BASE_DELAY_MS) || 300;
+const RETRY_MAX_DELAY_MS = parseInt(process.env.UPSTREAM_RETRY_MAX_DELAY_MS) || 10000;
+// No retry starts once a call has spent this long, so slow timeouts aren't multiplied
+const RETRY_BUDGET_MS = parseInt(process.env.UPSTREAM_RETRY_BUDGET_MS) || 45000;
+
+// Consecutive failures that open a circuit, and how long it stays open before a trial request
+const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5;
+const RESET_MS = (parseInt(process.env.CIRCUIT_RESET_SECONDS) || 30) * 1000;
+
+const log = logger.child({ component: 'upstream' });
+
+/**
+ * Wait, or reject with a cancel error as soon as the signal aborts
+ * @param {number} ms - Delay
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new axios.CanceledError('Request aborted while waiting to retry'));
+  }, { once: true });
+});
+
+/**
+ * Closed: calls go through. Open: calls fail fast. After the reset time one trial
+ * call is let through (half-open); its outcome closes or reopens the circuit
+ */
+class CircuitBreaker {
+  constructor(name) {
+    this.name = name;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastFailure = null;
+  }
+
+  /**
+   * Whether a call may go out now. Moves an open circuit to half-open once the reset time passed
+   * @returns {boolean} False while open, or while a half-open trial call is running
+   */
+  allow() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= RESET_MS) {
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'half-open') {
+      if (this.trialInFlight) {
+        return false;
+      }
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return this.state === 'closed';
+  }
+
+  // The upstream answered (also with a 4xx: it is reachable)
+  success() {
+    if (this.state !== 'closed') {
+      log.info('Circuit closed', { upstream: this.name });
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  // 5xx, timeout or network error
+  failure(error) {
+    this.failures += 1;
+    this.trialInFlight = false;
+    this.lastFailure = { message: error.message, at: new Date().toISOString() };
+
+    if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= FAILURE_THRESHOLD)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      log.warn('Circuit opened', { upstream: this.name, failures: this.failures, resetSeconds: RESET_MS / 1000 });
+    }
+  }
+
+  // Outcome says nothing about availability (throttled, aborted); a half-open trial may be retried by the next call
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * @returns {number} Seconds until the next trial call is let through
+   */
+  retryAfterSeconds() {
+    return Math.max(1, Math.ceil((this.openedAt + RESET_MS - Date.now()) / 1000));
+  }
+
+  /**
+   * @returns {Object} { state, failures, openedAt, retryAt, lastFailure }
+   */
+  status() {
+    const open = this.state === 'open';
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: open ? new Date(this.openedAt).toISOString() : null,
+      retryAt: open ? new Date(this.openedAt + RESET_MS).toISOString() : null,
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+/**
+ * Retries and circuit breaking for upstream HTTP calls, one breaker per upstream.
+ * Transient failures (5xx, timeouts, network errors, 429) are retried with jittered
+ * exponential backoff; a 429 Retry-After is waited out when it is short enough,
+ * otherwise the 429 goes back to the caller. Env: UPSTREAM_MAX_RETRIES (2),
+ * UPSTREAM_RETRY_BASE_DELAY_MS (300), UPSTREAM_RETRY_MAX_DELAY_MS (10000),
+ * UPSTREAM_RETRY_BUDGET_MS (45000), CIRCUIT_FAILURE_THRESHOLD (5), CIRCUIT_RESET_SECONDS (30)
+ */
+class UpstreamResilience {
+  constructor() {
+    this.breakers = new Map();
+  }
+
+  /**
+   * Circuit breaker of an upstream
+   * @param {string} upstream - Upstream id ('flightapi', 'openrouter', ...)
+   * @returns {CircuitBreaker} Breaker, created on first use
+   */
+  breaker(upstream) {
+    if (!this.breakers.has(upstream)) {
+      this.breakers.set(upstream, new CircuitBreaker(upstream));
+    }
+    return this.breakers.get(upstream);
+  }
+
+  /**
+   * Run an upstream request through the upstream's circuit breaker, retrying transient failures
+   * @param {string} upstream - Upstream id
+   * @param {Function} request - () => Promise of the axios response; called once per attempt
+   * @param {Object} options - { label: name for error messages, retry: false for non-idempotent calls, signal }
+   * @returns {Promise<Object>} Axios response
+   */
+  async call(upstream, request, { label = upstream, retry = true, signal } = {}) {
+    const breaker = this.breaker(upstream);
+    const startTime = Date.now();
+
+    for (let attempt = 0; ; attempt++) {
+      if (!breaker.allow()) {
+        throw new CircuitOpenError(`${label} is temporarily unavailable after repeated failures. Please try again later.`, {
+          upstream,
+          retryAfter: breaker.retryAfterSeconds()
+        });
+      }
+
+      try {
+        const response = await request();
+        breaker.success();
+        return response;
+      } catch (error) {
+        const outcome = this._outcome(error);
+        if (outcome === 'failure') {
+          breaker.failure(error);
+        } else if (outcome === 'answered') {
+          breaker.success();
+        } else {
+          breaker.release();
+        }
+
+        const delayMs = retry && !signal?.aborted ? this._retryDelay(error, outcome, attempt, startTime) : null;
+        if (delayMs === null) {
+          throw error;
+        }
+
+        log.warn('Retrying upstream request', {
+          upstream,
+          attempt: attempt + 1,
+          delayMs,
+          status: error.response?.status,
+          code: error.code
+        });
+        await sleep(delayMs, signal);
+      }
+    }
+  }
+
+  /**
+   * Breaker state of every upstream called so far
+   * @returns {Object} { [upstream]: breaker status }
+   */
+  status() {
+    return Object.fromEntries(Array.from(this.breakers, ([upstream, breaker]) => [upstream, breaker.status()]));
+  }
+
+  // failure: upstream unavailable; throttled: 429; answered: any other HTTP answer; other: aborted or not an HTTP error
+  _outcome(error) {
+    const status = error.response?.status;
+
+    if (axios.isCancel(error)) {
+      return 'other';
+    }
+    if (status === 429) {
+      return 'throttled';
+    }
+    if (status) {
+      return status >= 500 ? 'failure' : 'answered';
+    }
+    return error.code ? 'failure' : 'other';
+  }
+
+  // Milliseconds to wait before the next attempt, null when the error should go back to the caller
+  _retryDelay(error, outcome, attempt, startTime) {
+    if (attempt >= MAX_RETRIES || (outcome !== 'failure' && outcome !== 'throttled')) {
+      return null;
+    }
+
+    const retryAfter = outcome === 'throttled' ? parseRetryAfter(error.response.headers?.['retry-after']) : null;
+    let delayMs;
+
+    if (retryAfter !== null) {
+      delayMs = retryAfter * 1000;
+      if (delayMs > RETRY_MAX_DELAY_MS) {
+        return null;
+      }
+    } else {
+      // Equal jitter: half the exponential delay plus a random share of the other half
+      const exponential = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+      delayMs = Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    return Date.now() - startTime + delayMs > RETRY_BUDGET_MS ? null : delayMs;
+  }
+}
+
+export default new UpstreamResilience();
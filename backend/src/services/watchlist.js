@@ -0,0 +1,496 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import axios from 'axios';
+import dotenv from 'dotenv';
+import flightApiService from './flightApi.js';
+import flightLookup from './flightLookup.js';
+import flightNormalizer from './flightNormalizer.js';
+import airportRegistry from './airportRegistry.js';
+import punctualityAnalytics from './punctualityAnalytics.js';
+import logger from './logger.js';
+import { AppError, NotFoundError, UpstreamRateLimitError } from './errors.js';
+
+// Load environment variables
+dotenv.config();
+
+// Schedules are re-fetched through getAirportSchedule, so polls within the
+// schedule cache TTL cost no FlightAPI request
+const POLL_INTERVAL_MS = Math.max(parseInt(process.env.WATCH_POLL_SECONDS) || 120, 30) * 1000;
+const WATCH_TTL_MS = (parseInt(process.env.WATCH_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const MAX_ACTIVE_WATCHES = parseInt(process.env.MAX_ACTIVE_WATCHES) || 50;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WATCH_WEBHOOK_TIMEOUT_MS) || 5000;
+// Polls of an airport/day are skipped for this many intervals after FlightAPI rate limits us
+const RATE_LIMIT_BACKOFF_POLLS = 4;
+// Expected time moves smaller than this are not reported as delay changes
+const DELAY_STEP_MINUTES = 5;
+const MAX_EVENTS_PER_WATCH = 50;
+
+// Webhooks are POSTed from the server's own network, so targets resolving to loopback, private,
+// link-local (cloud metadata at 169.254.169.254), shared, multicast or reserved ranges are refused
+const BLOCKED_WEBHOOK_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_WEBHOOK_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  // IPv4-mapped addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges by BlockList itself
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_WEBHOOK_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+// Development only: lets webhooks reach a receiver on localhost or the local network
+const WEBHOOK_ALLOW_PRIVATE = process.env.WATCH_WEBHOOK_ALLOW_PRIVATE === 'true';
+// Optional comma-separated host allowlist; when set, webhooks may only point at these hosts
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WATCH_WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Change types a watch can be notified about: any status change, the status it changes to,
+// delay passing the on-time threshold, expected time moving, gate or terminal change
+const NOTIFY_TYPES = ['status', 'delayed', 'departed', 'landed', 'canceled', 'diverted', 'delay', 'gate'];
+const DEFAULT_NOTIFY_ON = ['status', 'delayed', 'gate'];
+// Statuses after which a flight no longer changes
+const FINAL_STATUSES = ['landed', 'canceled', 'diverted'];
+
+const log = logger.child({ component: 'watchlist' });
+
+/**
+ * Watched flights. A background poller re-fetches the schedule of every
+ * watched airport and flight date, compares each watched flight with what it saw
+ * last time and delivers the changes to the watch's webhook and to stream
+ * subscribers. Watches end when their flights reach a final status, when their
+ * date leaves FlightAPI's yesterday..tomorrow window, or when they expire.
+ */
+class Watchlist {
+  constructor() {
+    this.notifyTypes = NOTIFY_TYPES;
+    this.watches = new Map();
+    this.subscribers = new Set();
+    this.timer = null;
+    this.polling = false;
+    this.backoff = new Map();
+  }
+
+  /**
+   * Watch a flight. The schedule is fetched right away so unknown flights are rejected
+   * @param {Object} params - { airport, dayParam, flightNumber, notifyOn, webhookUrl }
+   * @returns {Promise<Object>} { watch, flights } - public watch and the flights it matched
+   */
+  async add({ airport, dayParam = 1, flightNumber, notifyOn = DEFAULT_NOTIFY_ON, webhookUrl = null }) {
+    if (this._active().length >= MAX_ACTIVE_WATCHES) {
+      throw new AppError(`At most ${MAX_ACTIVE_WATCHES} flights can be watched at a time`, {
+        code: 'WATCHLIST_FULL',
+        statusCode: 429
+      });
+    }
+
+    if (webhookUrl) {
+      await this._resolveWebhook(webhookUrl);
+    }
+
+    const schedule = await flightApiService.getAirportSchedule(airport, dayParam, 'both');
+    const flights = flightLookup.find(schedule.flights, flightNumber);
+
+    if (flights.length === 0) {
+      throw new NotFoundError(`Flight ${flightNumber} not found at ${airport} ${schedule.dayLabel}`, {
+        code: 'FLIGHT_NOT_FOUND'
+      });
+    }
+
+    const now = new Date().toISOString();
+    const watch = {
+      id: crypto.randomUUID(),
+      airport,
+      // The day parameter is relative to today, so polls go by the flight's local date
+      flightDate: airportRegistry.localDate(airport, schedule.dayParam),
+      dayParam: schedule.dayParam,
+      dayLabel: schedule.dayLabel,
+      flightNumber,
+      notifyOn,
+      webhookUrl,
+      active: true,
+      endReason: null,
+      createdAt: now,
+      expiresAt: new Date(Date.now() + WATCH_TTL_MS).toISOString(),
+      lastCheckedAt: now,
+      lastError: null,
+      lastDelivery: null,
+      // Last seen state per flight id, the baseline for the next poll
+      snapshots: Object.fromEntries(flights.map(flight => [flight.id, this._snapshot(flight)])),
+      events: []
+    };
+
+    this.watches.set(watch.id, watch);
+    log.info('Watching flight', { watchId: watch.id, flightNumber, airport, flightDate: watch.flightDate, notifyOn });
+
+    this._finishIfFinal(watch, flights);
+    this._startPolling();
+
+    return { watch: this.toPublic(watch), flights };
+  }
+
+  /**
+   * Get a watch by id
+   * @param {string} id - Watch id
+   * @returns {Object|null} Watch or null if unknown
+   */
+  get(id) {
+    return this.watches.get(id) || null;
+  }
+
+  /**
+   * All watches, newest first
+   * @returns {Array<Object>} Public watches
+   */
+  list() {
+    return Array.from(this.watches.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(watch => this.toPublic(watch));
+  }
+
+  /**
+   * Stop watching and forget a watch
+   * @param {string} id - Watch id
+   * @returns {boolean} Whether the watch existed
+   */
+  remove(id) {
+    const removed = this.watches.delete(id);
+    if (this._active().length === 0) {
+      this._stopPolling();
+    }
+    return removed;
+  }
+
+  /**
+   * Receive every change event (for Server-Sent Events streams)
+   * @param {Function} listener - Called with each change event
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.subscribers.add(listener);
+    return () => this.subscribers.delete(listener);
+  }
+
+  /**
+   * Public view of a watch (without per-flight snapshots)
+   * @param {Object} watch - Watch
+   * @returns {Object} Watch with its recent events
+   */
+  toPublic(watch) {
+    const { snapshots, webhookUrl, ...rest } = watch;
+    return {
+      ...rest,
+      // Only the host is shown back, webhook paths often carry tokens
+      webhook: webhookUrl ? new URL(webhookUrl).host : null,
+      flights: Object.values(snapshots)
+    };
+  }
+
+  /**
+   * Fetch every watched airport/date once and deliver changes. Runs on the poll interval
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      this._expire();
+
+      const groups = new Map();
+      this._active().forEach(watch => {
+        const key = `${watch.airport}_${watch.flightDate}`;
+        if (!groups.has(key)) {
+          groups.set(key, []);
+        }
+        groups.get(key).push(watch);
+      });
+
+      // One airport at a time keeps FlightAPI usage predictable
+      for (const [key, watches] of groups) {
+        await this._pollGroup(key, watches);
+      }
+
+      if (this._active().length === 0) {
+        this._stopPolling();
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async _pollGroup(key, watches) {
+    const skipped = this.backoff.get(key) || 0;
+    if (skipped > 0) {
+      this.backoff.set(key, skipped - 1);
+      return;
+    }
+
+    const { airport, dayParam } = watches[0];
+
+    try {
+      const schedule = await flightApiService.getAirportSchedule(airport, dayParam, 'both');
+      const checkedAt = new Date().toISOString();
+
+      watches.forEach(watch => {
+        watch.lastCheckedAt = checkedAt;
+        watch.lastError = null;
+        this._check(watch, flightLookup.find(schedule.flights, watch.flightNumber));
+      });
+    } catch (error) {
+      log.warn('Watchlist poll failed', { airport, error });
+      watches.forEach(watch => {
+        watch.lastError = error.message;
+      });
+
+      if (error instanceof UpstreamRateLimitError) {
+        this.backoff.set(key, RATE_LIMIT_BACKOFF_POLLS);
+      }
+    }
+  }
+
+  _check(watch, flights) {
+    flights.forEach(flight => {
+      const previous = watch.snapshots[flight.id];
+      const current = this._snapshot(flight);
+      watch.snapshots[flight.id] = current;
+
+      if (!previous) {
+        return;
+      }
+
+      const changes = this._diff(previous, current);
+      const types = Array.from(new Set(changes.map(change => change.type)));
+      if (types.some(type => watch.notifyOn.includes(type))) {
+        this._emit(watch, flight, changes);
+      }
+    });
+
+    this._finishIfFinal(watch, flights);
+  }
+
+  /**
+   * Changes between two snapshots of one flight
+   * @returns {Array<Object>} { type, field, from, to } - a status change also has its new status as type
+   */
+  _diff(previous, current) {
+    const changes = [];
+
+    if (previous.status !== current.status) {
+      changes.push({ type: 'status', field: 'status', from: previous.statusText, to: current.statusText });
+      if (NOTIFY_TYPES.includes(current.status)) {
+        changes.push({ type: current.status, field: 'status', from: previous.status, to: current.status });
+      }
+    }
+
+    const threshold = punctualityAnalytics.onTimeThresholdMinutes;
+    if (current.delayMinutes > threshold && !(previous.delayMinutes > threshold) && current.status !== 'delayed') {
+      changes.push({ type: 'delayed', field: 'delayMinutes', from: previous.delayMinutes, to: current.delayMinutes });
+    }
+
+    if (current.expected !== previous.expected &&
+      Math.abs((current.delayMinutes ?? 0) - (previous.delayMinutes ?? 0)) >= DELAY_STEP_MINUTES) {
+      changes.push({ type: 'delay', field: 'expected', from: previous.expected, to: current.expected });
+    }
+
+    ['terminal', 'gate'].forEach(field => {
+      if (previous[field] !== current[field]) {
+        changes.push({ type: 'gate', field, from: previous[field], to: current[field] });
+      }
+    });
+
+    return changes;
+  }
+
+  _snapshot(flight) {
+    const times = flightNormalizer.timesHere(flight);
+    const expected = times.actual || times.estimated;
+    const here = flightNormalizer.airportHere(flight);
+
+    return {
+      id: flight.id,
+      direction: flight.direction,
+      flightNumber: flight.flightNumber,
+      status: flight.status.category,
+      statusText: flight.status.text,
+      scheduled: times.scheduled?.local || null,
+      expected: expected?.local || null,
+      delayMinutes: times.delayMinutes,
+      terminal: here.terminal,
+      gate: here.gate
+    };
+  }
+
+  _emit(watch, flight, changes) {
+    const event = {
+      id: crypto.randomUUID(),
+      watchId: watch.id,
+      airport: watch.airport,
+      flightDate: watch.flightDate,
+      dayParam: watch.dayParam,
+      flightNumber: watch.flightNumber,
+      types: Array.from(new Set(changes.map(change => change.type))),
+      summary: this._summary(flight, changes),
+      changes,
+      flight,
+      detectedAt: new Date().toISOString()
+    };
+
+    log.info('Watched flight changed', { watchId: watch.id, types: event.types, summary: event.summary });
+
+    watch.events.push({ ...event, flight: undefined });
+    if (watch.events.length > MAX_EVENTS_PER_WATCH) {
+      watch.events.shift();
+    }
+
+    this.subscribers.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        log.warn('Watchlist subscriber failed', { error });
+      }
+    });
+
+    if (watch.webhookUrl) {
+      this._deliver(watch, event);
+    }
+  }
+
+  async _deliver(watch, event) {
+    try {
+      // Checked again on every delivery: DNS may point somewhere else by now. The request
+      // connects to the checked address and doesn't follow redirects to unchecked ones
+      const [{ address, family }] = await this._resolveWebhook(watch.webhookUrl);
+      const response = await axios.post(watch.webhookUrl, event, {
+        timeout: WEBHOOK_TIMEOUT_MS,
+        maxRedirects: 0,
+        lookup: (hostname, options, callback) => callback(null, address, family),
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'FlightAssistant-Watchlist/1.0',
+          'X-Watch-Id': watch.id
+        }
+      });
+      watch.lastDelivery = { eventId: event.id, status: response.status, error: null, at: new Date().toISOString() };
+    } catch (error) {
+      log.warn('Webhook delivery failed', { watchId: watch.id, webhook: new URL(watch.webhookUrl).host, error });
+      watch.lastDelivery = {
+        eventId: event.id,
+        status: error.response?.status || null,
+        error: error.message,
+        at: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Resolve a webhook host and refuse it unless every address it resolves to is public
+   * (unless WATCH_WEBHOOK_ALLOW_PRIVATE=true) and the host is on WATCH_WEBHOOK_ALLOWED_HOSTS when that is set
+   * @param {string} webhookUrl - http(s) URL
+   * @returns {Promise<Array<Object>>} Resolved { address, family } list
+   */
+  async _resolveWebhook(webhookUrl) {
+    const { hostname } = new URL(webhookUrl);
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const refuse = (reason) => new AppError(`Webhook host ${host} is not allowed: ${reason}`, {
+      code: 'WEBHOOK_NOT_ALLOWED',
+      statusCode: 400
+    });
+
+    if (WEBHOOK_ALLOWED_HOSTS.length > 0 && !WEBHOOK_ALLOWED_HOSTS.includes(host)) {
+      throw refuse('not on the webhook host allowlist');
+    }
+
+    let addresses;
+    try {
+      addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.promises.lookup(host, { all: true });
+    } catch (error) {
+      throw refuse('it could not be resolved');
+    }
+
+    if (addresses.length === 0 || !WEBHOOK_ALLOW_PRIVATE && addresses.some(({ address, family }) =>
+      BLOCKED_WEBHOOK_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+      throw refuse('it resolves to a private, loopback or reserved address');
+    }
+
+    return addresses;
+  }
+
+  _summary(flight, changes) {
+    const number = flight.flightNumber || flight.callsign;
+    const snapshot = this._snapshot(flight);
+    const clock = (local) => local ? local.slice(11, 16) : '?';
+    const parts = [];
+
+    if (changes.some(change => change.field === 'status')) {
+      parts.push(snapshot.statusText);
+    }
+    changes.forEach(change => {
+      if (change.type === 'delayed' && change.field === 'delayMinutes') {
+        parts.push(`delayed by ${snapshot.delayMinutes} min`);
+      } else if (change.type === 'delay') {
+        parts.push(`now expected at ${clock(change.to)}`);
+      } else if (change.type === 'gate') {
+        parts.push(`${change.field} ${change.from || '—'} → ${change.to || '—'}`);
+      }
+    });
+
+    return `${number} ${flight.direction === 'arrivals' ? 'into' : 'from'} ${flightNormalizer.airportHere(flight).iata}: ${parts.join(', ')}`;
+  }
+
+  _finishIfFinal(watch, flights) {
+    if (flights.length > 0 && flights.every(flight => FINAL_STATUSES.includes(flight.status.category))) {
+      watch.active = false;
+      watch.endReason = 'final-status';
+      log.info('Watch finished', { watchId: watch.id, flightNumber: watch.flightNumber, status: flights[0].status.text });
+    }
+  }
+
+  // Also moves each watch's day parameter along with the clock, e.g. tomorrow becomes today at local midnight
+  _expire() {
+    const now = Date.now();
+    this._active().forEach(watch => {
+      const dayParam = airportRegistry.dayParamFor(watch.airport, watch.flightDate);
+
+      if (dayParam === null) {
+        watch.active = false;
+        watch.endReason = 'date-passed';
+        log.info('Watch ended, flight date left the schedule window', { watchId: watch.id, flightDate: watch.flightDate });
+      } else if (Date.parse(watch.expiresAt) <= now) {
+        watch.active = false;
+        watch.endReason = 'expired';
+      } else {
+        watch.dayParam = dayParam;
+        watch.dayLabel = flightApiService.getDayLabel(dayParam);
+      }
+    });
+  }
+
+  _active() {
+    return Array.from(this.watches.values()).filter(watch => watch.active);
+  }
+
+  _startPolling() {
+    if (this.timer || this._active().length === 0) {
+      return;
+    }
+
+    log.info('Watchlist poller started', { intervalSeconds: POLL_INTERVAL_MS / 1000 });
+    // Each poll gets its own correlation id, carried into the FlightAPI requests it makes
+    this.timer = setInterval(() => logger.withRequestId(`watch-poll-${crypto.randomUUID()}`, () => this.poll()), POLL_INTERVAL_MS);
+    // Watches alone don't keep the process alive
+    this.timer.unref();
+  }
+
+  _stopPolling() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      log.info('Watchlist poller stopped, nothing left to watch');
+    }
+  }
+}
+
+export default new Watchlist();
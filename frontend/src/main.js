@@ -5,8 +5,10 @@ import App from './App.vue'
 
 import Button from 'primevue/button'
 import Dropdown from 'primevue/dropdown'
+import AutoComplete from 'primevue/autocomplete'
 import InputText from 'primevue/inputtext'
 import Textarea from 'primevue/textarea'
+import SelectButton from 'primevue/selectbutton'
 import Card from 'primevue/card'
 import ProgressSpinner from 'primevue/progressspinner'
 import Divider from 'primevue/divider'
@@ -32,8 +34,10 @@ app.use(ToastService)
 
 app.component('Button', Button)
 app.component('Dropdown', Dropdown)
+app.component('AutoComplete', AutoComplete)
 app.component('InputText', InputText)
 app.component('Textarea', Textarea)
+app.component('SelectButton', SelectButton)
 app.component('Card', Card)
 app.component('ProgressSpinner', ProgressSpinner)
 app.component('Divider', Divider)
@@ -2,6 +2,29 @@ import axios from 'axios';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE || '/api';
 
+const UPSTREAM_NAMES = {
+  flightapi: 'The flight data service',
+  openrouter: 'The AI service',
+  'openai-compatible': 'The AI service',
+  mock: 'The AI service'
+};
+
+const upstreamName = (data) => UPSTREAM_NAMES[data.upstream] || 'An external service';
+
+// User messages per backend error code (see backend/src/services/errors.js); retry hints are added separately
+const ERROR_MESSAGES = {
+  UPSTREAM_AUTH_FAILED: (data) => `${upstreamName(data)} rejected our credentials. Please contact the administrator.`,
+  UPSTREAM_QUOTA_EXHAUSTED: (data) => `${upstreamName(data)} has run out of credits. Please contact the administrator.`,
+  RATE_LIMIT_EXCEEDED: (data) => `${upstreamName(data)} is receiving too many requests.`,
+  REQUEST_TIMEOUT: (data) => `${upstreamName(data)} took too long to answer.`,
+  UPSTREAM_UNAVAILABLE: (data) => `${upstreamName(data)} is temporarily unavailable.`,
+  UPSTREAM_CIRCUIT_OPEN: (data) => `${upstreamName(data)} is failing repeatedly, so requests are paused.`,
+  UPSTREAM_ERROR: (data) => `${upstreamName(data)} returned an unexpected response.`,
+  NO_FLIGHT_DATA: (data) => data.error || 'No flight data is available for this airport and day.',
+  WATCHLIST_FULL: (data) => data.error || 'Too many flights are being watched. Stop watching one first.',
+  INTERNAL_ERROR: () => 'Something went wrong on our side.'
+};
+
 class ApiService {
   constructor() {
     this.client = axios.create({
@@ -45,38 +68,89 @@ class ApiService {
   }
 
   /**
-   * Transform API errors into user-friendly messages
+   * Transform API errors into user-friendly messages. Backend errors carry a stable
+   * `code`; the returned Error keeps it along with `retryable` and `retryAfter` (seconds),
+   * and its message ends with a hint on whether and when to try again
    * @param {Error} error - Original error
-   * @returns {Error} Transformed error
+   * @returns {Error} Transformed error with code, status, upstream, retryable, retryAfter
    */
   transformError(error) {
     if (!error.response) {
       // Network error
-      return new Error('Network error. Please check your internet connection.');
+      return this.createError('Network error. Please check your internet connection.', {
+        code: 'NETWORK_ERROR',
+        retryable: true
+      });
     }
 
-    const { status, data } = error.response;
-    
+    const { status, data = {} } = error.response;
+    const known = ERROR_MESSAGES[data.code];
+    const message = known?.(data) || this.messageForStatus(status, data);
+    const retryable = data.retryable ?? [429, 502, 503, 504].includes(status);
+
+    return this.createError(`${message} ${this.retryHint(retryable, data.retryAfter)}`, {
+      code: data.code || `HTTP_${status}`,
+      status,
+      upstream: data.upstream || null,
+      retryable,
+      retryAfter: data.retryAfter ?? null
+    });
+  }
+
+  /**
+   * Fallback message for responses without a known error code
+   * @param {number} status - HTTP status
+   * @param {Object} data - Response body
+   * @returns {string} Message
+   */
+  messageForStatus(status, data) {
     switch (status) {
       case 400:
-        return new Error(data.error || 'Invalid request. Please check your input.');
+        return data.error || 'Invalid request. Please check your input.';
       case 401:
-        return new Error('Authentication failed. Please check API credentials.');
+        return 'Authentication failed. Please check API credentials.';
       case 404:
-        return new Error(data.error || 'Requested data not found.');
+        return data.error || 'Requested data not found.';
       case 429:
-        return new Error('Rate limit exceeded. Please try again later.');
+        return 'Rate limit exceeded.';
       case 500:
-        return new Error(data.error || 'Server error. Please try again later.');
+        return data.error || 'Server error.';
       case 502:
-        return new Error('External service unavailable. Please try again later.');
+        return 'External service unavailable.';
       case 504:
-        return new Error('Request timeout. Please try again.');
+        return 'Request timeout.';
       default:
-        return new Error(data.error || `Unexpected error (${status}). Please try again.`);
+        return data.error || `Unexpected error (${status}).`;
     }
   }
 
+  /**
+   * Tell the user whether and when to try again
+   * @param {boolean} retryable - Whether the same request may succeed later
+   * @param {number} retryAfter - Seconds to wait, when the server knows
+   * @returns {string} Hint sentence
+   */
+  retryHint(retryable, retryAfter) {
+    if (!retryable) {
+      return '';
+    }
+    if (retryAfter) {
+      return retryAfter < 90
+        ? `Please try again in ${retryAfter} seconds.`
+        : `Please try again in ${Math.ceil(retryAfter / 60)} minutes.`;
+    }
+    return 'Please try again in a moment.';
+  }
+
+  /**
+   * @param {string} message - User message
+   * @param {Object} fields - code, status, upstream, retryable, retryAfter
+   * @returns {Error} Error carrying the fields
+   */
+  createError(message, fields) {
+    return Object.assign(new Error(message.trim()), fields);
+  }
+
   /**
    * Query flight data with a natural language question
    * @param {string} airport - Airport IATA code
@@ -98,6 +172,354 @@ class ApiService {
     }
   }
 
+  /**
+   * Start a conversation for an airport and day
+   * @param {string} airport - Airport IATA code
+   * @param {number} date - Day parameter: -1, 1 or 2
+   * @returns {Promise<Object>} Created conversation
+   */
+  async createConversation(airport, date = null) {
+    const response = await this.client.post('/flights/conversations', {
+      airport: airport.toUpperCase(),
+      date
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Ask a (follow-up) question within a conversation
+   * @param {string} conversationId - Conversation id
+   * @param {string} question - User's question
+   * @returns {Promise<Object>} Query response for this turn
+   */
+  async sendMessage(conversationId, question) {
+    const response = await this.client.post(`/flights/conversations/${conversationId}/messages`, {
+      question: question.trim()
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Ask a question within a conversation, streaming pipeline progress and answer tokens
+   * @param {string} conversationId - Conversation id
+   * @param {string} question - User's question
+   * @param {Function} onEvent - (event, data) for 'stage', 'analysis', 'schedule' and 'token' events
+   * @returns {Promise<Object>} Final query response for this turn
+   */
+  async streamMessage(conversationId, question, onEvent) {
+    return this.streamRequest(`/flights/conversations/${conversationId}/messages/stream`, {
+      question: question.trim()
+    }, onEvent);
+  }
+
+  /**
+   * Compare airports with one question, streaming pipeline progress and answer tokens
+   * @param {Array<string>} airports - Airport IATA codes (2 to 4)
+   * @param {string} question - User's question
+   * @param {number} date - Day parameter: -1, 1 or 2
+   * @param {Function} onEvent - (event, data) for 'stage', 'analysis', 'schedule' and 'token' events
+   * @returns {Promise<Object>} Final comparison response
+   */
+  async streamComparison(airports, question, date, onEvent) {
+    return this.streamRequest('/flights/query/stream', {
+      airports: airports.map(airport => airport.toUpperCase()),
+      question: question.trim(),
+      date
+    }, onEvent);
+  }
+
+  /**
+   * POST to a Server-Sent Events endpoint (axios can't stream in the browser, so this uses fetch)
+   * @param {string} url - Endpoint path relative to the API base
+   * @param {Object} body - JSON request body
+   * @param {Function} onEvent - (event, data) callback for progress events
+   * @returns {Promise<Object>} Payload of the final 'done' event
+   */
+  async streamRequest(url, body, onEvent) {
+    console.log(`🌐 API Stream: POST ${url}`);
+
+    let response;
+    try {
+      response = await fetch(`${API_BASE_URL}${url}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream'
+        },
+        body: JSON.stringify(body)
+      });
+    } catch (error) {
+      throw this.transformError(error);
+    }
+
+    // Validation errors arrive as plain JSON before the stream starts
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw this.transformError({ response: { status: response.status, data } });
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      let separatorIndex;
+      while ((separatorIndex = buffer.indexOf('\n\n')) >= 0) {
+        const rawEvent = buffer.slice(0, separatorIndex);
+        buffer = buffer.slice(separatorIndex + 2);
+
+        const event = rawEvent.match(/^event: (.*)$/m)?.[1] || 'message';
+        const dataLine = rawEvent.match(/^data: (.*)$/m)?.[1];
+        if (!dataLine) continue;
+
+        const data = JSON.parse(dataLine);
+
+        if (event === 'done') {
+          console.log(`✅ API Stream complete: ${url}`);
+          reader.cancel();
+          return data;
+        }
+
+        if (event === 'error') {
+          throw this.transformError({ response: { status: data.status, data } });
+        }
+
+        onEvent?.(event, data);
+      }
+    }
+
+    throw new Error('Connection closed before the answer was complete. Please try again.');
+  }
+
+  /**
+   * Search supported airports
+   * @param {string} query - Code, city, name or country
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { airports, total, page, limit, totalPages }
+   */
+  async searchAirports(query = '', { page = 1, limit = 20 } = {}) {
+    const response = await this.client.get('/flights/airports', {
+      params: { q: query, page, limit }
+    });
+    return response.data;
+  }
+
+  /**
+   * Get airport details
+   * @param {string} code - IATA or ICAO code
+   * @returns {Promise<Object>} Airport
+   */
+  async getAirport(code) {
+    const response = await this.client.get(`/flights/airports/${encodeURIComponent(code)}`);
+    return response.data.airport;
+  }
+
+  /**
+   * Find a flight by flight number or callsign in an airport's schedule
+   * @param {string} airport - Airport IATA code
+   * @param {string} flightNumber - e.g. EK5, BA117 or UAE5
+   * @param {number} date - Day parameter: -1, 1 or 2
+   * @returns {Promise<Object>} { airport, airportName, dayLabel, query, flights }
+   */
+  async lookupFlight(airport, flightNumber, date = null) {
+    const response = await this.client.get(
+      `/flights/lookup/${encodeURIComponent(airport.toUpperCase())}/${encodeURIComponent(flightNumber.trim())}`,
+      { params: { date: date || undefined } }
+    );
+    return response.data;
+  }
+
+  /**
+   * Page of an airport's normalised flight list for the flights table
+   * @param {string} airport - Airport IATA code
+   * @param {Object} params - { date, mode, page, limit, sort, order, q, flight, airline, origin, destination, aircraft, status }
+   * @returns {Promise<Object>} { flights, total, page, limit, totalPages, facets, sort, filters }
+   */
+  async getScheduleFlights(airport, params = {}) {
+    // Empty filters are left out of the query string
+    const query = Object.fromEntries(
+      Object.entries(params).filter(([, value]) => value !== null && value !== undefined && value !== '')
+    );
+
+    const response = await this.client.get(`/flights/schedule/${encodeURIComponent(airport.toUpperCase())}`, {
+      params: query
+    });
+    return response.data;
+  }
+
+  /**
+   * Download the flights behind a query
+   * @param {string} airport - Airport IATA code
+   * @param {Object} params - { date, mode, question, format } with format csv or json
+   * @returns {Promise<Object>} { blob, filename }
+   */
+  async exportFlights(airport, params = {}) {
+    return this.download(`/flights/export/${encodeURIComponent(airport.toUpperCase())}/flights`, params, `${airport}-flights.${params.format || 'csv'}`);
+  }
+
+  /**
+   * Download the aggregates (counts and punctuality) behind a query as CSV
+   * @param {string} airport - Airport IATA code
+   * @param {Object} params - { date, mode }
+   * @returns {Promise<Object>} { blob, filename }
+   */
+  async exportAggregates(airport, params = {}) {
+    return this.download(`/flights/export/${encodeURIComponent(airport.toUpperCase())}/aggregates`, params, `${airport}-aggregates.csv`);
+  }
+
+  /**
+   * Download selected flights as an iCalendar file
+   * @param {string} airport - Airport IATA code
+   * @param {Array<string>} ids - Canonical flight ids
+   * @param {number} date - Day parameter: -1, 1 or 2
+   * @returns {Promise<Object>} { blob, filename }
+   */
+  async exportCalendar(airport, ids, date = null) {
+    return this.download(`/flights/export/${encodeURIComponent(airport.toUpperCase())}/calendar`, {
+      date,
+      ids: ids.join(',')
+    }, `${airport}-flights.ics`);
+  }
+
+  /**
+   * GET a file download
+   * @param {string} url - Endpoint path relative to the API base
+   * @param {Object} params - Query parameters, empty ones are left out
+   * @param {string} fallbackName - File name when the response doesn't name one
+   * @returns {Promise<Object>} { blob, filename }
+   */
+  async download(url, params, fallbackName) {
+    const query = Object.fromEntries(
+      Object.entries(params).filter(([, value]) => value !== null && value !== undefined && value !== '')
+    );
+
+    const response = await this.client.get(url, { params: query, responseType: 'blob' });
+    const disposition = response.headers['content-disposition'] || '';
+    const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || fallbackName;
+
+    return { blob: response.data, filename };
+  }
+
+  /**
+   * Search the query history, newest first
+   * @param {Object} params - { q, airport, starred, page, limit }
+   * @returns {Promise<Object>} { entries, total, page, limit, totalPages }
+   */
+  async getHistory(params = {}) {
+    const response = await this.client.get('/flights/history', {
+      params: {
+        q: params.q || undefined,
+        airport: params.airport || undefined,
+        starred: params.starred ? 'true' : undefined,
+        page: params.page,
+        limit: params.limit
+      }
+    });
+    return response.data;
+  }
+
+  /**
+   * Get a stored answer, shaped like a query response
+   * @param {string} id - History entry id
+   * @returns {Promise<Object>} Entry
+   */
+  async getHistoryEntry(id) {
+    const response = await this.client.get(`/flights/history/${encodeURIComponent(id)}`);
+    return response.data.entry;
+  }
+
+  /**
+   * Star or unstar a history entry
+   * @param {string} id - History entry id
+   * @param {boolean} starred - New state
+   * @returns {Promise<Object>} Entry summary
+   */
+  async starHistoryEntry(id, starred) {
+    const response = await this.client.patch(`/flights/history/${encodeURIComponent(id)}`, { starred });
+    return response.data.entry;
+  }
+
+  /**
+   * Delete a history entry
+   * @param {string} id - History entry id
+   */
+  async deleteHistoryEntry(id) {
+    await this.client.delete(`/flights/history/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Ask a saved question again against the current schedule
+   * @param {string} id - History entry id
+   * @returns {Promise<Object>} Query response with the new historyId
+   */
+  async rerunHistoryEntry(id) {
+    const response = await this.client.post(`/flights/history/${encodeURIComponent(id)}/rerun`, {});
+    return response.data;
+  }
+
+  /**
+   * Watch a flight and get notified when its status, delay or gate changes
+   * @param {string} airport - Airport code
+   * @param {string} flightNumber - Flight number or callsign
+   * @param {Object} options - { date, notifyOn, webhookUrl }
+   * @returns {Promise<Object>} { watch, flights }
+   */
+  async createWatch(airport, flightNumber, { date = null, notifyOn, webhookUrl } = {}) {
+    const response = await this.client.post('/flights/watchlist', {
+      airport: airport.toUpperCase(),
+      flightNumber,
+      date: date || undefined,
+      notifyOn,
+      webhookUrl
+    });
+    return response.data;
+  }
+
+  /**
+   * List watched flights, newest first
+   * @returns {Promise<Object>} { watches, notifyTypes }
+   */
+  async getWatchlist() {
+    const response = await this.client.get('/flights/watchlist');
+    return response.data;
+  }
+
+  /**
+   * Stop watching a flight
+   * @param {string} id - Watch id
+   */
+  async deleteWatch(id) {
+    await this.client.delete(`/flights/watchlist/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Subscribe to watchlist changes. The browser reconnects on its own when the stream drops
+   * @param {Function} onChange - Called with each change event
+   * @returns {Function} Unsubscribe
+   */
+  subscribeWatchEvents(onChange) {
+    const source = new EventSource(`${API_BASE_URL}/flights/watchlist/events`);
+    source.addEventListener('change', (event) => onChange(JSON.parse(event.data)));
+    return () => source.close();
+  }
+
+  /**
+   * Get conversation history
+   * @param {string} conversationId - Conversation id
+   * @returns {Promise<Object>} Conversation with turns
+   */
+  async getConversation(conversationId) {
+    const response = await this.client.get(`/flights/conversations/${conversationId}`);
+    return response.data;
+  }
+
 }
 
 export default new ApiService();
@@ -0,0 +1,11 @@
+// Save a downloaded file ({ blob, filename } from apiService exports) through a temporary link
+export const saveFile = ({ blob, filename }) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,12 @@
+// Helpers for the canonical Flight model returned by the backend
+// (direction, origin, destination, departure and arrival events)
+
+// Times at the queried airport: arrival for arrivals, departure for departures
+export const timesHere = (flight) => {
+  return flight.direction === 'arrivals' ? flight.arrival : flight.departure
+}
+
+// The side of the flight that is not the queried airport
+export const otherAirport = (flight) => {
+  return flight.direction === 'arrivals' ? flight.origin : flight.destination
+}
@@ -0,0 +1,20 @@
+// Format AI answer with HTML
+export const formatAnswer = (answer) => {
+  if (!answer) return ''
+
+  return answer
+    .replace(/\n/g, '<br>')
+    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*(.*?)\*/g, '<em>$1</em>')
+    .replace(/`(.*?)`/g, '<code>$1</code>')
+    .replace(/(\d+)/g, '<span class="number-highlight">$1</span>')
+}
+
+export const formatTimestamp = (timestamp) => {
+  return new Date(timestamp).toLocaleString()
+}
+
+// Airport-local clock time of a backend time ({ local: '2025-10-19T14:05+04:00' })
+export const formatLocalTime = (time) => {
+  return time?.local ? time.local.slice(11, 16) : '—'
+}